@@ -0,0 +1,124 @@
+import express from 'express';
+import pathMapper from '../services/path-mapper.js';
+import transferManager from '../services/transfer-manager.js';
+
+const router = express.Router();
+
+/**
+ * Map source paths with the rules of a server pair
+ * @param {Object} config - Application config
+ * @param {Object} params - { sourceServerId, destServerId, paths, rules }
+ * @returns {Object} { status, error } on invalid input, otherwise { mappings, rules }
+ */
+function mapPaths(config, { sourceServerId, destServerId, paths, rules }) {
+  if (!sourceServerId || !destServerId) {
+    return { status: 400, error: 'Missing required fields: sourceServerId, destServerId' };
+  }
+
+  if (!Array.isArray(paths) || paths.length === 0 || paths.some(p => typeof p !== 'string' || !p)) {
+    return { status: 400, error: 'At least one path is required' };
+  }
+
+  const sourceServer = config.servers.find(s => s.id === sourceServerId);
+  const destServer = config.servers.find(s => s.id === destServerId);
+
+  if (!sourceServer) {
+    return { status: 404, error: `Source server not found: ${sourceServerId}` };
+  }
+
+  if (!destServer) {
+    return { status: 404, error: `Destination server not found: ${destServerId}` };
+  }
+
+  // Unsaved rules can be passed in to preview them, otherwise the pair's configured rules apply
+  const activeRules = rules ?? transferManager.getPathRules(sourceServerId, destServerId);
+  const rulesError = pathMapper.validateRules(activeRules);
+  if (rulesError) {
+    return { status: 400, error: rulesError };
+  }
+
+  return {
+    rules: activeRules,
+    mappings: paths.map(sourcePath => pathMapper.mapPath(sourcePath, sourceServer, destServer, activeRules))
+  };
+}
+
+/**
+ * GET /api/paths/map
+ * Preview where source paths end up on the destination server
+ * Query params:
+ *   - sourceServerId: Source server ID
+ *   - destServerId: Destination server ID
+ *   - path: Source path (repeat for several paths)
+ *   - rules: JSON array of mapping rules to try instead of the configured ones (optional)
+ */
+router.get('/map', (req, res) => {
+  try {
+    let rules;
+    if (req.query.rules) {
+      try {
+        rules = JSON.parse(req.query.rules);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid rules: ${error.message}`
+        });
+      }
+    }
+
+    const paths = req.query.path === undefined ? [] : [].concat(req.query.path);
+    const result = mapPaths(req.app.locals.config, {
+      sourceServerId: req.query.sourceServerId,
+      destServerId: req.query.destServerId,
+      paths,
+      rules
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/paths/map
+ * Same as GET /api/paths/map for lists of paths too long for a query string
+ * Body: { sourceServerId, destServerId, paths: [...], rules (optional) }
+ */
+router.post('/map', (req, res) => {
+  try {
+    const result = mapPaths(req.app.locals.config, req.body || {});
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
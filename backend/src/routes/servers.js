@@ -20,12 +20,14 @@ router.get('/', (req, res) => {
       name: server.name,
       plexUrl: server.plexUrl,
       mediaPaths: server.mediaPaths,
-      ssh: {
+      type: server.type || 'ssh',
+      // Local servers run commands on the backend host and may have no SSH settings
+      ssh: server.ssh ? {
         host: server.ssh.host,
         port: server.ssh.port,
         username: server.ssh.username
         // Don't include password
-      }
+      } : null
     }));
 
     res.json({
@@ -63,11 +65,12 @@ router.get('/:id', (req, res) => {
         name: server.name,
         plexUrl: server.plexUrl,
         mediaPaths: server.mediaPaths,
-        ssh: {
+        type: server.type || 'ssh',
+        ssh: server.ssh ? {
           host: server.ssh.host,
           port: server.ssh.port,
           username: server.ssh.username
-        }
+        } : null
       }
     });
   } catch (error) {
@@ -100,7 +103,7 @@ router.post('/:id/test', async (req, res) => {
     if (result.exitCode === 0) {
       res.json({
         success: true,
-        message: 'SSH connection successful',
+        message: sshManager.isLocal(server) ? 'Local commands run successfully' : 'SSH connection successful',
         output: result.stdout
       });
     } else {
@@ -4,6 +4,8 @@ import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { spawn } from 'child_process';
+import { validateTransferWindows, validateRsyncSettings, validateTransferConfig } from '../utils/config-validation.js';
+import pathMapper from '../services/path-mapper.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -108,6 +110,64 @@ router.put('/', (req, res) => {
       }
     }
 
+    const transferManager = req.app.locals.transferManager;
+    const queueStrategy = updates.transfer?.queueStrategy;
+    if (queueStrategy && transferManager && !transferManager.getQueueStrategies().includes(queueStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid queue strategy: ${queueStrategy}`
+      });
+    }
+
+    const conflictPolicy = updates.transfer?.conflictPolicy;
+    if (conflictPolicy && transferManager && !transferManager.getConflictPolicies().includes(conflictPolicy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid conflict policy: ${conflictPolicy}`
+      });
+    }
+
+    for (const [pair, pairConfig] of Object.entries(updates.transfer?.pairs || {})) {
+      if (pairConfig?.method && transferManager && !transferManager.getTransferMethods().includes(pairConfig.method)) {
+        return res.status(400).json({
+          success: false,
+          error: `${pair}: Invalid transfer method: ${pairConfig.method}`
+        });
+      }
+
+      const rulesError = pathMapper.validateRules(pairConfig?.pathRules);
+      if (rulesError) {
+        return res.status(400).json({
+          success: false,
+          error: `${pair}: ${rulesError}`
+        });
+      }
+    }
+
+    const stallTimeoutSec = updates.transfer?.stallTimeoutSec;
+    if (stallTimeoutSec !== undefined && (typeof stallTimeoutSec !== 'number' || !(stallTimeoutSec >= 0))) {
+      return res.status(400).json({
+        success: false,
+        error: 'stallTimeoutSec must be a number of seconds (0 to disable stall detection)'
+      });
+    }
+
+    const rsyncError = validateRsyncSettings(updates.transfer);
+    if (rsyncError) {
+      return res.status(400).json({
+        success: false,
+        error: rsyncError
+      });
+    }
+
+    const windowError = validateTransferWindows(updates.transfer);
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: windowError
+      });
+    }
+
     // Merge updates into current config
     const updatedConfig = { ...currentConfig, ...updates };
 
@@ -116,12 +176,18 @@ router.put('/', (req, res) => {
 
     // Reload config in the app
     req.app.locals.config = updatedConfig;
+    pathMapper.setConfig(updatedConfig);
 
     // Update transfer manager settings if changed
-    if (updates.transfer?.maxConcurrent) {
-      const transferManager = req.app.locals.transferManager;
-      if (transferManager) {
+    if (transferManager) {
+      transferManager.setConfig(updatedConfig);
+      if (updates.transfer?.queueStrategy && updates.transfer.queueStrategy !== transferManager.queueStrategy) {
+        transferManager.setQueueStrategy(updates.transfer.queueStrategy);
+      }
+      if (updates.transfer?.maxConcurrent) {
         transferManager.setMaxConcurrent(updates.transfer.maxConcurrent);
+      } else {
+        transferManager.processQueue();
       }
     }
 
@@ -140,6 +206,32 @@ router.put('/', (req, res) => {
   }
 });
 
+// GET /api/settings/bandwidth - Get the bandwidth limit currently in effect
+router.get('/bandwidth', (req, res) => {
+  try {
+    const transferManager = req.app.locals.transferManager;
+    const config = req.app.locals.config;
+    const { linkLimitKBps, scheduleEntry } = transferManager.getBandwidthStatus();
+
+    res.json({
+      success: true,
+      bandwidth: {
+        limitKBps: linkLimitKBps,
+        scheduleEntry,
+        perTransferKBps: transferManager.getBandwidthLimit(null, null),
+        configured: config.transfer?.bandwidth || {}
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Bandwidth status error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // POST /api/settings/generate-nginx - Generate nginx.conf from current config
 router.post('/generate-nginx', (req, res) => {
   try {
@@ -201,20 +293,46 @@ router.post('/reload', (req, res) => {
 
     // Replace environment variable references in SSH passwords
     config.servers = config.servers.map(server => {
-      if (server.ssh.password && server.ssh.password.startsWith('env:')) {
+      if (server.ssh?.password && server.ssh.password.startsWith('env:')) {
         const envVar = server.ssh.password.substring(4);
         server.ssh.password = process.env[envVar];
       }
       return server;
     });
 
+    const transferManager = req.app.locals.transferManager;
+    const queueStrategy = config.transfer?.queueStrategy;
+    if (queueStrategy && transferManager && !transferManager.getQueueStrategies().includes(queueStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid queue strategy: ${queueStrategy}`
+      });
+    }
+
+    // The running config stays in place if the file has a bad time window or rsync profile
+    const transferError = validateTransferConfig(config.transfer);
+    if (transferError) {
+      return res.status(400).json({
+        success: false,
+        error: transferError
+      });
+    }
+
     // Update app config
     req.app.locals.config = config;
+    pathMapper.setConfig(config);
 
     // Update transfer manager settings
-    const transferManager = req.app.locals.transferManager;
-    if (transferManager && config.transfer?.maxConcurrent) {
-      transferManager.setMaxConcurrent(config.transfer.maxConcurrent);
+    if (transferManager) {
+      transferManager.setConfig(config);
+      if (queueStrategy && queueStrategy !== transferManager.queueStrategy) {
+        transferManager.setQueueStrategy(queueStrategy);
+      }
+      if (config.transfer?.maxConcurrent) {
+        transferManager.setMaxConcurrent(config.transfer.maxConcurrent);
+      } else {
+        transferManager.processQueue();
+      }
     }
 
     res.json({
@@ -3,70 +3,187 @@ import transferManager from '../services/transfer-manager.js';
 
 const router = express.Router();
 
+/**
+ * Validate a transfer request body and resolve its servers
+ * Shared by POST /api/transfers and POST /api/transfers/plan
+ * @param {Object} config - Application config
+ * @param {Object} body - Request body
+ * @returns {Object} { status, error } if the request is invalid, otherwise { sourceServer, destServer, files, options }
+ */
+function parseTransferRequest(config, body) {
+  const { sourceServerId, destServerId, files, priority, window, verify, name, mode, conflictPolicy, rsyncProfile } = body;
+
+  if (!sourceServerId || !destServerId || !files || !Array.isArray(files)) {
+    return { status: 400, error: 'Missing required fields: sourceServerId, destServerId, files' };
+  }
+
+  if (files.length === 0) {
+    return { status: 400, error: 'No files specified for transfer' };
+  }
+
+  if (files.some(file => !file || (!file.path && !file.ratingKey))) {
+    return { status: 400, error: 'Each file needs either a path or a ratingKey' };
+  }
+
+  if (priority && !transferManager.getPriorities().includes(priority)) {
+    return { status: 400, error: `Invalid priority: ${priority}. Use one of: ${transferManager.getPriorities().join(', ')}` };
+  }
+
+  let startAfter = null;
+  if (body.startAfter !== undefined && body.startAfter !== null) {
+    // Form fields and query strings send timestamps as strings
+    const isTimestamp = typeof body.startAfter === 'string' && /^\d+$/.test(body.startAfter.trim());
+    startAfter = new Date(isTimestamp ? Number(body.startAfter) : body.startAfter).getTime();
+    if (Number.isNaN(startAfter)) {
+      return { status: 400, error: `Invalid startAfter: ${body.startAfter}` };
+    }
+  }
+
+  if (mode && !['copy', 'move'].includes(mode)) {
+    return { status: 400, error: 'mode must be either "copy" or "move"' };
+  }
+
+  // Checksums are compared per file, so a folder move would delete its source unverified
+  const verifyRequested = verify === undefined ? Boolean(config.transfer?.verify?.enabled) : Boolean(verify);
+  if (mode === 'move' && verifyRequested && files.some(file => file.type === 'directory' || file.isDirectory === true)) {
+    return {
+      status: 400,
+      error: 'Folders cannot be checksum-verified, so they cannot be moved with verification. Pass "verify": false to move them without it'
+    };
+  }
+
+  if (conflictPolicy && !transferManager.getConflictPolicies().includes(conflictPolicy)) {
+    return {
+      status: 400,
+      error: `Invalid conflictPolicy: ${conflictPolicy}. Use one of: ${transferManager.getConflictPolicies().join(', ')}`
+    };
+  }
+
+  if (rsyncProfile && !Object.hasOwn(transferManager.getRsyncProfiles(), rsyncProfile)) {
+    return {
+      status: 400,
+      error: `Unknown rsyncProfile: ${rsyncProfile}. Use one of: ${Object.keys(transferManager.getRsyncProfiles()).join(', ')}`
+    };
+  }
+
+  if (window && !transferManager.getTransferWindow(window)) {
+    return { status: 400, error: `Unknown transfer window: ${window}` };
+  }
+
+  // Find servers
+  const sourceServer = config.servers.find(s => s.id === sourceServerId);
+  const destServer = config.servers.find(s => s.id === destServerId);
+
+  if (!sourceServer) {
+    return { status: 404, error: `Source server not found: ${sourceServerId}` };
+  }
+
+  if (!destServer) {
+    return { status: 404, error: `Destination server not found: ${destServerId}` };
+  }
+
+  if (sourceServerId === destServerId) {
+    return { status: 400, error: 'Source and destination servers must be different' };
+  }
+
+  return {
+    sourceServer,
+    destServer,
+    files,
+    options: { priority, startAfter, window, verify: verify === undefined ? undefined : Boolean(verify), name, mode, conflictPolicy, rsyncProfile }
+  };
+}
+
 /**
  * POST /api/transfers
  * Create a new file transfer
  * Body:
  *   - sourceServerId: Source server ID
  *   - destServerId: Destination server ID
- *   - files: Array of file objects to transfer
+ *   - files: Array of files or folders to transfer ({ path, name, size, addedAt, type }); type 'directory' copies a folder recursively.
+ *            Plex items can be given as { ratingKey, mediaId } instead: mediaId picks the version ('all' for every version)
+ *            and every part of it is transferred
+ *   - priority: Queue priority, 'high', 'normal' or 'low' (optional, default 'normal')
+ *   - startAfter: ISO date or timestamp (ms, as a number or numeric string) before which the transfers must not start (optional)
+ *   - window: Name of a transfer window from transfer.windows to start the transfers in (optional)
+ *   - verify: Compare source and destination checksums after copying (optional, default transfer.verify.enabled)
+ *   - name: Display name for the batch (optional)
+ *   - mode: 'copy' (default) or 'move' to delete the source file once it has been transferred
+ *   - conflictPolicy: What to do when the destination file exists: 'skip', 'overwrite', 'rename',
+ *     'keep-larger' or 'keep-higher-resolution' (optional, default transfer.conflictPolicy or 'skip')
+ *   - rsyncProfile: Name of the rsync option profile to copy with (optional, default the server pair's
+ *     rsyncProfile, then transfer.rsyncProfile, then 'default')
+ * Responds with the batch ID, the IDs of the created transfers and the free space check per destination filesystem.
+ * Requests that don't fit are rejected with 507 unless transfer.spaceCheck.mode is 'warn'
  */
 router.post('/', async (req, res) => {
   try {
-    const config = req.app.locals.config;
-    const { sourceServerId, destServerId, files } = req.body;
-
-    // Validate request
-    if (!sourceServerId || !destServerId || !files || !Array.isArray(files)) {
-      return res.status(400).json({
+    const request = parseTransferRequest(req.app.locals.config, req.body);
+    if (request.error) {
+      return res.status(request.status).json({
         success: false,
-        error: 'Missing required fields: sourceServerId, destServerId, files'
+        error: request.error
       });
     }
 
-    if (files.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No files specified for transfer'
-      });
-    }
-
-    // Find servers
-    const sourceServer = config.servers.find(s => s.id === sourceServerId);
-    const destServer = config.servers.find(s => s.id === destServerId);
+    // Create transfers
+    const { batchId, transferIds, spaceCheck } = await transferManager.createTransfers(
+      request.sourceServer,
+      request.destServer,
+      request.files,
+      request.options
+    );
 
-    if (!sourceServer) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      message: `Created ${transferIds.length} transfer(s)`,
+      batchId,
+      transferIds,
+      spaceCheck,
+      warnings: spaceCheck?.warning ? [spaceCheck.warning] : []
+    });
+  } catch (error) {
+    if (error.spaceCheck) {
+      return res.status(507).json({
         success: false,
-        error: `Source server not found: ${sourceServerId}`
+        error: error.message,
+        spaceCheck: error.spaceCheck
       });
     }
 
-    if (!destServer) {
-      return res.status(404).json({
-        success: false,
-        error: `Destination server not found: ${destServerId}`
-      });
-    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    if (sourceServerId === destServerId) {
-      return res.status(400).json({
+/**
+ * POST /api/transfers/plan
+ * Dry run of POST /api/transfers: takes the same body and reports what would happen without queuing anything
+ * Responds with the destination path, conflict outcome and sidecars of every file,
+ * the bytes headed for each destination filesystem and an estimated duration
+ */
+router.post('/plan', async (req, res) => {
+  try {
+    const request = parseTransferRequest(req.app.locals.config, req.body);
+    if (request.error) {
+      return res.status(request.status).json({
         success: false,
-        error: 'Source and destination servers must be different'
+        error: request.error
       });
     }
 
-    // Create transfers
-    const transferIds = await transferManager.createTransfers(
-      sourceServer,
-      destServer,
-      files
+    const plan = await transferManager.planTransfers(
+      request.sourceServer,
+      request.destServer,
+      request.files,
+      request.options
     );
 
     res.json({
       success: true,
-      message: `Created ${transferIds.length} transfer(s)`,
-      transferIds
+      plan
     });
   } catch (error) {
     res.status(500).json({
@@ -80,7 +197,7 @@ router.post('/', async (req, res) => {
  * GET /api/transfers
  * Get all transfers with optional filters
  * Query params:
- *   - status: Filter by status (queued, active, completed, failed, cancelled)
+ *   - status: Filter by status (queued, active, paused, completed, failed, cancelled)
  *   - sourceServerId: Filter by source server
  *   - destServerId: Filter by destination server
  */
@@ -115,7 +232,7 @@ router.get('/', (req, res) => {
 
 /**
  * GET /api/transfers/stats
- * Get transfer statistics
+ * Get transfer counts per status and the estimated time to finish the queue
  */
 router.get('/stats', (req, res) => {
   try {
@@ -133,6 +250,323 @@ router.get('/stats', (req, res) => {
   }
 });
 
+/**
+ * POST /api/transfers/retry-failed
+ * Re-queue every failed transfer
+ */
+router.post('/retry-failed', (req, res) => {
+  try {
+    const transferIds = transferManager.retryAllFailed();
+
+    res.json({
+      success: true,
+      message: `Retrying ${transferIds.length} transfer(s)`,
+      transferIds
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/transfers/queue
+ * Get the state of the transfer queue
+ */
+router.get('/queue', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      queue: transferManager.getQueueState()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/transfers/rsync-profiles
+ * List the rsync option profiles with their checked options
+ * A profile whose options aren't allowed is listed with an error instead.
+ */
+router.get('/rsync-profiles', (req, res) => {
+  try {
+    const profiles = Object.keys(transferManager.getRsyncProfiles()).map(name => {
+      try {
+        return { name, options: transferManager.getRsyncArgs(name), error: null };
+      } catch (error) {
+        return { name, options: null, error: error.message };
+      }
+    });
+
+    res.json({
+      success: true,
+      profiles
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/transfers/queue/strategy
+ * Change how queued transfers are ordered within a priority level
+ * Body:
+ *   - strategy: 'fifo', 'smallest-first', 'largest-first' or 'oldest-added-first'
+ */
+router.put('/queue/strategy', (req, res) => {
+  try {
+    const { strategy } = req.body;
+
+    if (!transferManager.getQueueStrategies().includes(strategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid strategy: ${strategy}. Use one of: ${transferManager.getQueueStrategies().join(', ')}`
+      });
+    }
+
+    transferManager.setQueueStrategy(strategy);
+
+    res.json({
+      success: true,
+      message: `Queue strategy set to ${strategy}`,
+      queue: transferManager.getQueueState()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transfers/queue/pause
+ * Pause the queue so no new transfers start
+ * Body:
+ *   - includeActive: Also pause running transfers (optional, default false)
+ */
+router.post('/queue/pause', async (req, res) => {
+  try {
+    await transferManager.pauseQueue({ includeActive: Boolean(req.body?.includeActive) });
+
+    res.json({
+      success: true,
+      message: 'Queue paused',
+      queue: transferManager.getQueueState()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transfers/queue/resume
+ * Resume the queue and any transfers paused along with it
+ */
+router.post('/queue/resume', (req, res) => {
+  try {
+    transferManager.resumeQueue();
+
+    res.json({
+      success: true,
+      message: 'Queue resumed',
+      queue: transferManager.getQueueState()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/transfers/batches
+ * Get all transfer batches with aggregated progress
+ */
+router.get('/batches', (req, res) => {
+  try {
+    const batches = transferManager.getAllBatches();
+
+    res.json({
+      success: true,
+      batches,
+      count: batches.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/transfers/batches/:batchId
+ * Get a batch with aggregated progress and its transfers
+ */
+router.get('/batches/:batchId', (req, res) => {
+  try {
+    const batch = transferManager.getBatch(req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      batch,
+      transfers: transferManager.getBatchTransfers(req.params.batchId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transfers/batches/:batchId/pause
+ * Pause every queued or active transfer of a batch
+ */
+router.post('/batches/:batchId/pause', async (req, res) => {
+  try {
+    if (!transferManager.getBatch(req.params.batchId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    const transferIds = await transferManager.pauseBatch(req.params.batchId);
+
+    res.json({
+      success: true,
+      message: `Paused ${transferIds.length} transfer(s)`,
+      transferIds,
+      batch: transferManager.getBatch(req.params.batchId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transfers/batches/:batchId/resume
+ * Resume every paused transfer of a batch
+ */
+router.post('/batches/:batchId/resume', (req, res) => {
+  try {
+    if (!transferManager.getBatch(req.params.batchId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    const transferIds = transferManager.resumeBatch(req.params.batchId);
+
+    res.json({
+      success: true,
+      message: `Resumed ${transferIds.length} transfer(s)`,
+      transferIds,
+      batch: transferManager.getBatch(req.params.batchId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transfers/batches/:batchId/retry
+ * Re-queue every failed or cancelled transfer of a batch
+ */
+router.post('/batches/:batchId/retry', (req, res) => {
+  try {
+    if (!transferManager.getBatch(req.params.batchId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    const transferIds = transferManager.retryBatch(req.params.batchId);
+
+    res.json({
+      success: true,
+      message: `Retrying ${transferIds.length} transfer(s)`,
+      transferIds,
+      batch: transferManager.getBatch(req.params.batchId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/transfers/batches/:batchId
+ * Cancel every unfinished transfer of a batch
+ * Query params:
+ *   - cleanup: Partial file policy, 'delete' or 'keep' (default: transfer.cancelCleanup from config)
+ */
+router.delete('/batches/:batchId', async (req, res) => {
+  try {
+    if (!transferManager.getBatch(req.params.batchId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    const cleanup = req.query.cleanup;
+    if (cleanup && !['delete', 'keep'].includes(cleanup)) {
+      return res.status(400).json({
+        success: false,
+        error: 'cleanup must be either "delete" or "keep"'
+      });
+    }
+
+    const transferIds = await transferManager.cancelBatch(req.params.batchId, { cleanup });
+
+    res.json({
+      success: true,
+      message: `Cancelled ${transferIds.length} transfer(s)`,
+      transferIds,
+      batch: transferManager.getBatch(req.params.batchId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/transfers/:id
  * Get details of a specific transfer
@@ -160,9 +594,197 @@ router.get('/:id', (req, res) => {
   }
 });
 
+/**
+ * GET /api/transfers/:id/log
+ * Get the log of a transfer: the commands it ran, rsync's messages and errors, and the
+ * --stats summary of its last rsync run. Logs are kept in memory only.
+ * Query params:
+ *   - since: Only return lines with a higher sequence number (optional)
+ */
+router.get('/:id/log', (req, res) => {
+  try {
+    const since = parseInt(req.query.since, 10) || 0;
+    const log = transferManager.getTransferLog(req.params.id, since);
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      log
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transfers/:id/pause
+ * Pause a queued or active transfer, keeping the partial file for resuming
+ */
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const transfer = transferManager.getTransfer(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    }
+
+    const paused = await transferManager.pauseTransfer(req.params.id);
+
+    if (paused) {
+      res.json({
+        success: true,
+        message: 'Transfer paused'
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: 'Transfer cannot be paused in current state'
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transfers/:id/resume
+ * Resume a paused transfer
+ */
+router.post('/:id/resume', (req, res) => {
+  try {
+    const transfer = transferManager.getTransfer(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    }
+
+    const resumed = transferManager.resumeTransfer(req.params.id);
+
+    if (resumed) {
+      res.json({
+        success: true,
+        message: 'Transfer resumed'
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: 'Transfer is not paused'
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transfers/:id/retry
+ * Re-queue a failed or cancelled transfer
+ */
+router.post('/:id/retry', (req, res) => {
+  try {
+    const transfer = transferManager.getTransfer(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    }
+
+    const retried = transferManager.retryTransfer(req.params.id);
+
+    if (retried) {
+      res.json({
+        success: true,
+        message: 'Transfer queued for retry'
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: 'Only failed or cancelled transfers can be retried'
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transfers/:id/move
+ * Move a queued transfer within the queue
+ * Body:
+ *   - position: 'top', 'bottom' or a zero-based queue index
+ */
+router.post('/:id/move', (req, res) => {
+  try {
+    const { position } = req.body;
+    const transfer = transferManager.getTransfer(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    }
+
+    if (position !== 'top' && position !== 'bottom' && !Number.isInteger(position)) {
+      return res.status(400).json({
+        success: false,
+        error: 'position must be "top", "bottom" or a queue index'
+      });
+    }
+
+    const moved = transferManager.moveTransfer(req.params.id, position);
+
+    if (moved) {
+      res.json({
+        success: true,
+        message: 'Transfer moved',
+        queue: transferManager.getQueueState()
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: 'Only queued transfers can be moved'
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/transfers/:id
- * Cancel a transfer
+ * Cancel a transfer. Responds once a running rsync has been confirmed stopped.
+ * Query params:
+ *   - cleanup: Partial file policy, 'delete' or 'keep' (default: transfer.cancelCleanup from config)
  */
 router.delete('/:id', async (req, res) => {
   try {
@@ -186,7 +808,15 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    const cancelled = await transferManager.cancelTransfer(req.params.id, sourceServer);
+    const cleanup = req.query.cleanup;
+    if (cleanup && !['delete', 'keep'].includes(cleanup)) {
+      return res.status(400).json({
+        success: false,
+        error: 'cleanup must be either "delete" or "keep"'
+      });
+    }
+
+    const cancelled = await transferManager.cancelTransfer(req.params.id, sourceServer, { cleanup });
 
     if (cancelled) {
       res.json({
@@ -9,13 +9,17 @@ import { dirname, join } from 'path';
 
 // Import services
 import transferManager from './services/transfer-manager.js';
+import transferStore from './services/transfer-store.js';
 import sshManager from './services/ssh-manager.js';
+import pathMapper from './services/path-mapper.js';
+import { validateTransferConfig } from './utils/config-validation.js';
 
 // Import routes
 import serversRouter from './routes/servers.js';
 import filesRouter from './routes/files.js';
 import transfersRouter from './routes/transfers.js';
 import settingsRouter from './routes/settings.js';
+import pathsRouter from './routes/paths.js';
 
 // Load environment variables
 dotenv.config();
@@ -51,7 +55,7 @@ try {
 
   // Replace environment variable references in SSH passwords
   config.servers = config.servers.map(server => {
-    if (server.ssh.password && server.ssh.password.startsWith('env:')) {
+    if (server.ssh?.password && server.ssh.password.startsWith('env:')) {
       const envVar = server.ssh.password.substring(4);
       server.ssh.password = process.env[envVar];
 
@@ -62,6 +66,12 @@ try {
     return server;
   });
 
+  // A bad time window would otherwise only fail later, on every scheduler tick
+  const transferError = validateTransferConfig(config.transfer);
+  if (transferError) {
+    throw new Error(transferError);
+  }
+
 } catch (error) {
   console.error('✗ Failed to load configuration:', error.message);
   process.exit(1);
@@ -94,9 +104,10 @@ app.use((req, res, next) => {
   next();
 });
 
-// Make config and io available to routes
+// Make config, io and the transfer manager available to routes
 app.locals.config = config;
 app.locals.io = io;
+app.locals.transferManager = transferManager;
 
 // Set up transfer manager with Socket.IO
 transferManager.setSocketIO(io);
@@ -104,14 +115,30 @@ if (config.transfer?.maxConcurrent) {
   transferManager.setMaxConcurrent(config.transfer.maxConcurrent);
 }
 
-// Set config for SSH manager
+// Set config for SSH manager and the path rules
 sshManager.setConfig(config);
+pathMapper.setConfig(config);
+
+// The configured strategy wins over the one saved in the journal
+let queueStrategy = config.transfer?.queueStrategy;
+if (queueStrategy && !transferManager.getQueueStrategies().includes(queueStrategy)) {
+  console.warn(`⚠️  Unknown transfer.queueStrategy "${queueStrategy}", using fifo`);
+  queueStrategy = 'fifo';
+}
+
+// Restore queued and finished transfers from the journal, ordered by that strategy
+// before any of them start
+transferStore.setFilePath(config.transfer?.stateFile);
+transferManager.setConfig(config);
+transferManager.restore({ queueStrategy });
+transferManager.startScheduler();
 
 // API Routes
 app.use('/api/servers', serversRouter);
 app.use('/api/files', filesRouter);
 app.use('/api/transfers', transfersRouter);
 app.use('/api/settings', settingsRouter);
+app.use('/api/paths', pathsRouter);
 
 // UI config endpoint
 app.get('/api/config/ui', (req, res) => {
@@ -206,8 +233,25 @@ io.on('connection', (socket) => {
     console.log(`[WebSocket] Client disconnected: ${socket.id}`);
   });
 
+  // Live transfer logs: clients join a room per transfer they follow
+  socket.on('transfer:log:subscribe', (transferId) => {
+    if (typeof transferId !== 'string' || !transferManager.getTransfer(transferId)) {
+      return;
+    }
+    socket.join(`transfer-log:${transferId}`);
+  });
+
+  socket.on('transfer:log:unsubscribe', (transferId) => {
+    if (typeof transferId !== 'string') {
+      return;
+    }
+    socket.leave(`transfer-log:${transferId}`);
+  });
+
   // Send initial transfer list
   socket.emit('transfers:initial', transferManager.getAllTransfers());
+  socket.emit('queue:update', transferManager.getQueueState());
+  socket.emit('batches:initial', transferManager.getAllBatches());
 });
 
 // Start server
@@ -232,7 +276,8 @@ httpServer.listen(PORT, HOST, () => {
 process.on('SIGTERM', () => {
   console.log('\n[Server] SIGTERM received, shutting down gracefully...');
   
-  // Close SSH connections
+  // Persist transfer state and close SSH connections
+  transferManager.flushState();
   sshManager.disconnectAll();
   
   // Close HTTP server
@@ -245,7 +290,8 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   console.log('\n[Server] SIGINT received, shutting down gracefully...');
   
-  // Close SSH connections
+  // Persist transfer state and close SSH connections
+  transferManager.flushState();
   sshManager.disconnectAll();
   
   // Close HTTP server
@@ -257,7 +303,8 @@ process.on('SIGINT', () => {
 
 // Periodic cleanup of old transfers (every hour)
 setInterval(() => {
-  transferManager.clearOldTransfers();
+  const retentionHours = config.transfer?.historyRetentionHours || 24;
+  transferManager.clearOldTransfers(retentionHours * 60 * 60 * 1000);
 }, 60 * 60 * 1000);
 
 export default app;
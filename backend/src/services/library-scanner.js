@@ -0,0 +1,127 @@
+import plexService from './plex-service.js';
+import path from 'path';
+
+class LibraryScanner {
+  constructor() {
+    // "serverId:sectionId:folder" -> { timer, server, section, folder, scanConfig, files: [{ filePath, onUpdate }] }
+    this.pendingScans = new Map();
+  }
+
+  /**
+   * Queue a Plex partial scan of the folder containing a newly transferred file
+   * Files landing in the same folder within scanConfig.debounceMs share a single scan,
+   * so a whole season or batch only triggers one scan per folder.
+   * @param {Object} server - Destination server configuration
+   * @param {string} filePath - Absolute path of the file on the destination server
+   * @param {Object} scanConfig - { debounceMs, pollIntervalMs, timeoutMs }
+   * @param {Object} options - Scan options
+   * @param {boolean} options.directory - filePath is a folder; scan it and don't wait for a single file
+   * @param {Function} onUpdate - Called with each change of the scan state
+   */
+  async queueScan(server, filePath, scanConfig, options, onUpdate) {
+    if (!server.plexUrl || !server.plexToken) {
+      onUpdate({ status: 'skipped', error: 'Destination server has no Plex URL or token' });
+      return;
+    }
+
+    let section;
+    try {
+      section = await plexService.findSectionForPath(server.plexUrl, server.plexToken, filePath);
+    } catch (error) {
+      onUpdate({ status: 'error', error: error.message });
+      return;
+    }
+
+    if (!section) {
+      onUpdate({ status: 'skipped', error: 'No Plex library contains the destination path' });
+      return;
+    }
+
+    const folder = options.directory ? filePath.replace(/\/+$/, '') : path.posix.dirname(filePath);
+    const key = `${server.id}:${section.id}:${folder}`;
+    let pending = this.pendingScans.get(key);
+
+    if (pending) {
+      clearTimeout(pending.timer);
+    } else {
+      pending = { server, section, folder, scanConfig, files: [] };
+      this.pendingScans.set(key, pending);
+    }
+
+    pending.files.push({ filePath: options.directory ? null : filePath, onUpdate });
+    onUpdate({ status: 'pending', sectionId: section.id, sectionTitle: section.title });
+
+    pending.timer = setTimeout(() => this.runScan(key), scanConfig.debounceMs);
+  }
+
+  /**
+   * Request the partial scan for a folder and wait for its files to be indexed
+   * @param {string} key - Pending scan key
+   */
+  async runScan(key) {
+    const { server, section, folder, scanConfig, files } = this.pendingScans.get(key);
+    this.pendingScans.delete(key);
+
+    try {
+      await plexService.scanLibraryPath(server.plexUrl, server.plexToken, section.id, folder);
+    } catch (error) {
+      files.forEach(file => file.onUpdate({ status: 'error', error: error.message }));
+      return;
+    }
+
+    const requestedAt = Date.now();
+    files.forEach(file => file.onUpdate({ status: file.filePath ? 'scanning' : 'requested', requestedAt }));
+
+    // Folder transfers have no single file to look for, the scan request is all we track
+    const indexable = files.filter(file => file.filePath);
+    if (indexable.length > 0) {
+      console.log(`[Scan] Waiting for ${indexable.length} file(s) in ${folder} to be indexed`);
+      await this.waitForIndexing(server, section, indexable, scanConfig);
+    }
+  }
+
+  /**
+   * Poll the library section until every file is indexed or the timeout expires
+   * @param {Object} server - Destination server configuration
+   * @param {Object} section - Library section
+   * @param {Array} files - [{ filePath, onUpdate }]
+   * @param {Object} scanConfig - { pollIntervalMs, timeoutMs }
+   */
+  async waitForIndexing(server, section, files, scanConfig) {
+    const deadline = Date.now() + scanConfig.timeoutMs;
+    let remaining = [...files];
+
+    while (remaining.length > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, scanConfig.pollIntervalMs));
+
+      try {
+        const found = await plexService.findItemsByFiles(
+          server.plexUrl,
+          server.plexToken,
+          section,
+          remaining.map(file => file.filePath)
+        );
+
+        for (const file of remaining) {
+          const item = found.get(file.filePath);
+          if (item) {
+            file.onUpdate({ status: 'indexed', ratingKey: item.ratingKey, indexedAt: Date.now() });
+          }
+        }
+
+        remaining = remaining.filter(file => !found.has(file.filePath));
+      } catch (error) {
+        // Plex may be busy while scanning; keep polling until the deadline
+        console.error(`[Scan] Error checking index status:`, error.message);
+      }
+    }
+
+    remaining.forEach(file => file.onUpdate({
+      status: 'timeout',
+      error: `Not indexed by Plex within ${Math.round(scanConfig.timeoutMs / 1000)}s`
+    }));
+  }
+}
+
+// Export singleton instance
+export default new LibraryScanner();
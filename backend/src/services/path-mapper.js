@@ -0,0 +1,205 @@
+class PathMapper {
+  constructor() {
+    // Compiled regular expressions of the configured rules by "pattern/flags"
+    this.regexCache = new Map();
+  }
+
+  /**
+   * Compile the regexes of the configured pair rules, dropping those of earlier configs
+   * @param {Object} config - Configuration object
+   */
+  setConfig(config) {
+    this.regexCache = new Map();
+
+    for (const pair of Object.values(config?.transfer?.pairs || {})) {
+      if (this.validateRules(pair?.pathRules) !== null) {
+        continue;
+      }
+
+      for (const rule of pair?.pathRules || []) {
+        if (rule.regex !== undefined) {
+          this.regexCache.set(this.getRegExpKey(rule), this.compileRegExp(rule));
+        }
+      }
+    }
+  }
+
+  /**
+   * Check a list of mapping rules
+   * A rule has either a prefix or a regex, and a target:
+   *   { prefix: '/mnt/movies/4K', target: '/media4k/movies' } replaces the leading folder(s)
+   *   { regex: '^/mnt/tv/([^/]+)/(.*)$', flags: 'i', target: '/tv/$1/$2' } fills the target with the captured groups
+   * @param {Array} rules - Mapping rules
+   * @returns {string|null} Error message, or null if the rules are valid
+   */
+  validateRules(rules) {
+    if (rules === undefined || rules === null) {
+      return null;
+    }
+
+    if (!Array.isArray(rules)) {
+      return 'pathRules must be an array';
+    }
+
+    for (const [index, rule] of rules.entries()) {
+      const label = `Path rule ${index + 1}`;
+
+      if (!rule || typeof rule !== 'object') {
+        return `${label} must be an object`;
+      }
+      if (typeof rule.target !== 'string' || !rule.target.startsWith('/')) {
+        return `${label} needs an absolute target path`;
+      }
+      if ((rule.prefix === undefined) === (rule.regex === undefined)) {
+        return `${label} needs either a prefix or a regex`;
+      }
+      if (rule.prefix !== undefined && (typeof rule.prefix !== 'string' || !rule.prefix.startsWith('/'))) {
+        return `${label} needs an absolute prefix`;
+      }
+      if (rule.regex !== undefined) {
+        try {
+          this.compileRegExp(rule);
+        } catch (error) {
+          return `${label} has an invalid regex: ${error.message}`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the cache key of a rule's regex
+   * @param {Object} rule - Mapping rule with a regex
+   * @returns {string} "pattern/flags"
+   */
+  getRegExpKey(rule) {
+    return `${rule.regex}/${(rule.flags || '').replace(/g/g, '')}`;
+  }
+
+  /**
+   * Compile the regex of a rule
+   * The g flag is dropped, since a global regex keeps state between test() calls.
+   * @param {Object} rule - Mapping rule with a regex
+   * @returns {RegExp} Compiled expression
+   * @throws {SyntaxError} If the pattern or flags are invalid
+   */
+  compileRegExp(rule) {
+    return new RegExp(rule.regex, (rule.flags || '').replace(/g/g, ''));
+  }
+
+  /**
+   * Get the compiled regex of a rule
+   * Configured rules come from the cache; others (such as rules being tried out) are compiled each time.
+   * @param {Object} rule - Mapping rule with a regex
+   * @returns {RegExp} Compiled expression
+   */
+  getRegExp(rule) {
+    return this.regexCache.get(this.getRegExpKey(rule)) || this.compileRegExp(rule);
+  }
+
+  /**
+   * Map a source path to its destination path
+   * The rules are tried in order and the first match wins; without a match
+   * the path is mapped between the servers' media paths.
+   * @param {string} sourcePath - Path on the source server
+   * @param {Object} sourceServer - Source server configuration
+   * @param {Object} destServer - Destination server configuration
+   * @param {Array} rules - Mapping rules of the server pair
+   * @returns {Object} { sourcePath, destPath, rule: index of the matching rule or null, type: 'prefix'|'regex'|'media-paths' }
+   */
+  mapPath(sourcePath, sourceServer, destServer, rules = []) {
+    for (const [index, rule] of (rules || []).entries()) {
+      let destPath = null;
+
+      if (rule.prefix !== undefined) {
+        const prefix = rule.prefix.replace(/\/+$/, '');
+        if (sourcePath === prefix || sourcePath.startsWith(`${prefix}/`)) {
+          destPath = `${rule.target}/${sourcePath.slice(prefix.length)}`;
+        }
+      } else {
+        const regex = this.getRegExp(rule);
+        if (regex.test(sourcePath)) {
+          destPath = sourcePath.replace(regex, rule.target);
+        }
+      }
+
+      if (destPath !== null) {
+        return {
+          sourcePath,
+          destPath: this.normalize(destPath),
+          rule: index,
+          type: rule.prefix !== undefined ? 'prefix' : 'regex'
+        };
+      }
+    }
+
+    return {
+      sourcePath,
+      destPath: this.mapByMediaPaths(sourcePath, sourceServer.mediaPaths || {}, destServer.mediaPaths || {}),
+      rule: null,
+      type: 'media-paths'
+    };
+  }
+
+  /**
+   * Build destination path based on media paths
+   * Handles separate paths for movies and TV shows
+   * @param {string} sourcePath - Source file path
+   * @param {Object} sourceMediaPaths - Source server media paths object
+   * @param {Object} destMediaPaths - Destination server media paths object
+   * @returns {string} Destination path
+   */
+  mapByMediaPaths(sourcePath, sourceMediaPaths, destMediaPaths) {
+    // Determine media type and get relative path
+    let relativePath;
+    let mediaType;
+
+    // Check if path is in movies directory
+    if (sourceMediaPaths.movies && sourcePath.startsWith(sourceMediaPaths.movies)) {
+      relativePath = sourcePath.replace(sourceMediaPaths.movies, '').replace(/^\/+/, '');
+      mediaType = 'movies';
+    }
+    // Check if path is in TV directory
+    else if (sourceMediaPaths.tv && sourcePath.startsWith(sourceMediaPaths.tv)) {
+      relativePath = sourcePath.replace(sourceMediaPaths.tv, '').replace(/^\/+/, '');
+      mediaType = 'tv';
+    }
+    // Fallback to root path
+    else if (sourceMediaPaths.root && sourcePath.startsWith(sourceMediaPaths.root)) {
+      relativePath = sourcePath.replace(sourceMediaPaths.root, '').replace(/^\/+/, '');
+      mediaType = 'root';
+    }
+    // If no match, just use the filename
+    else {
+      const parts = sourcePath.split('/');
+      relativePath = parts[parts.length - 1];
+      mediaType = 'root';
+    }
+
+    // Build destination path based on media type
+    let destBasePath;
+    if (mediaType === 'movies' && destMediaPaths.movies) {
+      destBasePath = destMediaPaths.movies;
+    } else if (mediaType === 'tv' && destMediaPaths.tv) {
+      destBasePath = destMediaPaths.tv;
+    } else {
+      destBasePath = destMediaPaths.root || destMediaPaths.movies || destMediaPaths.tv;
+    }
+
+    return this.normalize(`${destBasePath}/${relativePath}`);
+  }
+
+  /**
+   * Collapse repeated slashes and drop a trailing one
+   * @param {string} filePath - Path to clean up
+   * @returns {string} Normalized path
+   */
+  normalize(filePath) {
+    const normalized = filePath.replace(/\/+/g, '/');
+    return normalized.length > 1 ? normalized.replace(/\/$/, '') : normalized;
+  }
+}
+
+// Export singleton instance
+export default new PathMapper();
@@ -141,30 +141,13 @@ class PlexService {
    * @returns {Object} Parsed content item
    */
   parseVideoItem(video, contentType) {
-    // Extract file information from Media/Part structure
-    let filePath = null;
-    let fileSize = null;
+    // Every version (Media) of the item with all of its files (Part)
+    const media = this.parseMedia(video);
 
-    if (video.Media) {
-      // Handle Media as array or single object
-      const mediaArray = Array.isArray(video.Media) ? video.Media : [video.Media];
-
-      // Get the first media item (usually the main one)
-      const media = mediaArray[0];
-
-      if (media && media.Part) {
-        // Handle Part as array or single object
-        const partArray = Array.isArray(media.Part) ? media.Part : [media.Part];
-
-        // Get the first part (usually the main file)
-        const part = partArray[0];
-
-        if (part && part.$) {
-          filePath = part.$.file || null;
-          fileSize = part.$.size ? parseInt(part.$.size, 10) : null;
-        }
-      }
-    }
+    // filePath/fileSize describe the first file of the first version, which Plex plays by default
+    const firstPart = media[0]?.parts[0];
+    const filePath = firstPart?.file || null;
+    const fileSize = firstPart?.size ?? null;
 
     // Build display title and metadata based on content type
     let displayTitle = video.$.title;
@@ -221,6 +204,7 @@ class PlexService {
       actors: video.Role ? (Array.isArray(video.Role) ? video.Role.slice(0, 5).map(r => r.$.tag) : [video.Role.$.tag]) : [],
       filePath: filePath,
       fileSize: fileSize,
+      media: media,
       // Watch status fields
       viewCount: viewCount,
       viewOffset: viewOffset,
@@ -241,6 +225,86 @@ class PlexService {
     return parsedItem;
   }
 
+  /**
+   * Parse the Media/Part structure of a video item
+   * Items can have several versions (e.g. 4K and 1080p), each split over one or more files (cd1/cd2).
+   * @param {Object} video - Video XML object
+   * @returns {Array} Array of versions with their parts
+   */
+  parseMedia(video) {
+    if (!video.Media) {
+      return [];
+    }
+
+    const toInt = (value) => (value !== undefined && value !== '' ? parseInt(value, 10) : null);
+
+    // Handle Media and Part as array or single object
+    const mediaArray = Array.isArray(video.Media) ? video.Media : [video.Media];
+
+    return mediaArray.filter(media => media && media.$).map(media => {
+      const partArray = media.Part ? (Array.isArray(media.Part) ? media.Part : [media.Part]) : [];
+      const parts = partArray.filter(part => part && part.$).map(part => ({
+        id: part.$.id,
+        file: part.$.file || null,
+        size: toInt(part.$.size),
+        container: part.$.container || null,
+        duration: toInt(part.$.duration)
+      }));
+
+      return {
+        id: media.$.id,
+        videoResolution: media.$.videoResolution || null,
+        width: toInt(media.$.width),
+        height: toInt(media.$.height),
+        videoCodec: media.$.videoCodec || null,
+        audioCodec: media.$.audioCodec || null,
+        audioChannels: toInt(media.$.audioChannels),
+        bitrate: toInt(media.$.bitrate), // kbps
+        container: media.$.container || null,
+        duration: toInt(media.$.duration),
+        size: parts.reduce((sum, part) => sum + (part.size || 0), 0),
+        parts
+      };
+    });
+  }
+
+  /**
+   * Get a single movie or episode with all of its versions and parts
+   * @param {string} serverUrl - Plex server URL
+   * @param {string} token - Plex token
+   * @param {string} ratingKey - Item ID
+   * @returns {Promise<Object|null>} Parsed content item or null if not found
+   */
+  async getItemMetadata(serverUrl, token, ratingKey) {
+    try {
+      const headers = { ...this.baseHeaders, 'X-Plex-Token': token };
+      const response = await fetch(`${serverUrl}/library/metadata/${ratingKey}`, { headers });
+
+      if (response.status === 404) {
+        return null;
+      }
+
+      if (!response.ok) {
+        throw new Error(`Plex API error: ${response.status}`);
+      }
+
+      const xmlData = await response.text();
+      const parser = new xml2js.Parser({ explicitArray: false });
+      const result = await parser.parseStringPromise(xmlData);
+
+      const video = result.MediaContainer?.Video;
+      if (!video) {
+        return null;
+      }
+
+      const item = Array.isArray(video) ? video[0] : video;
+      return this.parseVideoItem(item, item.$.type === 'episode' ? 'episode' : 'movie');
+    } catch (error) {
+      console.error('Error fetching item metadata:', error);
+      throw new Error(`Failed to get item metadata: ${error.message}`);
+    }
+  }
+
   /**
    * Get recently added movies from a Plex server
    * @param {string} serverUrl - Plex server URL
@@ -525,6 +589,9 @@ class PlexService {
           scanner: section.$.scanner,
           language: section.$.language,
           uuid: section.$.uuid,
+          locations: section.Location
+            ? (Array.isArray(section.Location) ? section.Location : [section.Location]).map(location => location.$.path)
+            : [],
         }));
       }
 
@@ -535,6 +602,114 @@ class PlexService {
     }
   }
 
+  /**
+   * Find the library section whose folders contain a file path
+   * @param {string} serverUrl - Plex server URL
+   * @param {string} token - Plex token
+   * @param {string} filePath - Absolute file path on the Plex server
+   * @returns {Promise<Object|null>} Library section with the longest matching location, or null
+   */
+  async findSectionForPath(serverUrl, token, filePath) {
+    const sections = await this.getLibrarySections(serverUrl, token);
+    let bestMatch = null;
+    let bestLength = -1;
+
+    for (const section of sections) {
+      for (const location of section.locations) {
+        const prefix = location.replace(/\/+$/, '') + '/';
+        if (filePath.startsWith(prefix) && prefix.length > bestLength) {
+          bestMatch = section;
+          bestLength = prefix.length;
+        }
+      }
+    }
+
+    return bestMatch;
+  }
+
+  /**
+   * Ask Plex to scan a single folder of a library section (partial scan)
+   * @param {string} serverUrl - Plex server URL
+   * @param {string} token - Plex token
+   * @param {string} sectionId - Library section ID
+   * @param {string} folderPath - Folder to scan
+   */
+  async scanLibraryPath(serverUrl, token, sectionId, folderPath) {
+    try {
+      const headers = { ...this.baseHeaders, 'X-Plex-Token': token };
+      const response = await fetch(
+        `${serverUrl}/library/sections/${sectionId}/refresh?path=${encodeURIComponent(folderPath)}`,
+        { headers }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Plex API error: ${response.status}`);
+      }
+
+      console.log(`Requested Plex scan of ${folderPath} in section ${sectionId}`);
+    } catch (error) {
+      console.error('Error requesting library scan:', error);
+      throw new Error(`Failed to scan library path: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find recently added items in a library section by their file paths
+   * @param {string} serverUrl - Plex server URL
+   * @param {string} token - Plex token
+   * @param {Object} section - Library section (from getLibrarySections)
+   * @param {Array<string>} filePaths - Absolute file paths on the Plex server
+   * @param {number} limit - Number of recently added items to look through
+   * @returns {Promise<Map>} Map of file path to { ratingKey, title } for the files that are indexed
+   */
+  async findItemsByFiles(serverUrl, token, section, filePaths, limit = 100) {
+    try {
+      const headers = { ...this.baseHeaders, 'X-Plex-Token': token };
+      // Type 1 = movie, 4 = episode
+      const type = section.type === 'show' ? 4 : 1;
+      const response = await fetch(
+        `${serverUrl}/library/sections/${section.id}/all?type=${type}&sort=addedAt:desc&X-Plex-Container-Start=0&X-Plex-Container-Size=${limit}`,
+        { headers }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Plex API error: ${response.status}`);
+      }
+
+      const xmlData = await response.text();
+      const parser = new xml2js.Parser({ explicitArray: false });
+      const result = await parser.parseStringPromise(xmlData);
+      const found = new Map();
+
+      if (!result.MediaContainer || !result.MediaContainer.Video) {
+        return found;
+      }
+
+      const videos = Array.isArray(result.MediaContainer.Video)
+        ? result.MediaContainer.Video
+        : [result.MediaContainer.Video];
+
+      for (const video of videos) {
+        const mediaArray = video.Media ? (Array.isArray(video.Media) ? video.Media : [video.Media]) : [];
+
+        for (const media of mediaArray) {
+          const partArray = media.Part ? (Array.isArray(media.Part) ? media.Part : [media.Part]) : [];
+
+          for (const part of partArray) {
+            if (part.$ && filePaths.includes(part.$.file)) {
+              found.set(part.$.file, { ratingKey: video.$.ratingKey, title: video.$.title });
+            }
+          }
+        }
+      }
+
+      return found;
+    } catch (error) {
+      console.error('Error looking up items by file:', error);
+      throw new Error(`Failed to find library items: ${error.message}`);
+    }
+  }
+
   /**
    * Search for content in a Plex library
    * @param {string} serverUrl - Plex server URL
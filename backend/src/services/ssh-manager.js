@@ -2,6 +2,23 @@ import { Client } from 'ssh2';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { Transform } from 'stream';
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+import { pipeline } from 'stream/promises';
+
+// Checksum commands by algorithm, in order of preference
+const CHECKSUM_COMMANDS = {
+  xxh128: 'xxh128sum',
+  xxh64: 'xxh64sum',
+  sha256: 'sha256sum'
+};
+
+// Socket errors that mean the connection, not the file, is the problem
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ENETDOWN', 'EAI_AGAIN'];
+
+// SFTP status codes for a dropped session (SSH_FX_NO_CONNECTION, SSH_FX_CONNECTION_LOST)
+const SFTP_CONNECTION_STATUSES = [6, 7];
 
 class SSHManager {
   constructor() {
@@ -17,12 +34,26 @@ class SSHManager {
     this.config = config;
   }
 
+  /**
+   * Check whether a server is the host the backend runs on (type "local")
+   * Local servers run commands with child_process instead of over SSH.
+   * @param {Object} serverConfig - Server configuration
+   * @returns {boolean}
+   */
+  isLocal(serverConfig) {
+    return serverConfig.type === 'local';
+  }
+
   /**
    * Create an SSH connection to a server
    * @param {Object} serverConfig - Server configuration
    * @returns {Promise<Client>} SSH client
    */
   async connect(serverConfig) {
+    if (this.isLocal(serverConfig)) {
+      throw new Error(`Server ${serverConfig.id} is local and has no SSH connection`);
+    }
+
     const connectionKey = `${serverConfig.ssh.host}:${serverConfig.ssh.port}`;
     
     // Return existing connection if available
@@ -72,16 +103,49 @@ class SSHManager {
   }
 
   /**
-   * Execute a command on a remote server
+   * Start a command on a server and pass its output stream to a callback, like ssh2's Client.exec
+   * On local servers the command runs through /bin/sh and the child process is wrapped
+   * to look like an SSH channel: 'data' for stdout, 'close' with the exit code and a stderr stream.
+   * @param {Object} serverConfig - Server configuration
+   * @param {string} command - Command to run
+   * @param {Function} callback - Called with (err, stream)
+   */
+  exec(serverConfig, command, callback) {
+    if (!this.isLocal(serverConfig)) {
+      this.connect(serverConfig).then((conn) => {
+        try {
+          conn.exec(command, callback);
+        } catch (error) {
+          callback(error);
+        }
+      }, callback);
+      return;
+    }
+
+    const child = spawn('/bin/sh', ['-c', command], { stdio: ['ignore', 'pipe', 'pipe'] });
+    const stream = new EventEmitter();
+    stream.stderr = child.stderr;
+    stream.close = () => child.kill('SIGKILL');
+
+    child.stdout.on('data', (data) => stream.emit('data', data));
+    child.on('error', (error) => {
+      stream.stderr.emit('data', Buffer.from(error.message));
+      stream.emit('close', 127);
+    });
+    child.on('close', (exitCode, signal) => stream.emit('close', exitCode ?? (signal ? 128 : 1)));
+
+    callback(null, stream);
+  }
+
+  /**
+   * Execute a command on a server
    * @param {Object} serverConfig - Server configuration
    * @param {string} command - Command to execute
    * @returns {Promise<Object>} { stdout, stderr, exitCode }
    */
   async executeCommand(serverConfig, command) {
-    const conn = await this.connect(serverConfig);
-
     return new Promise((resolve, reject) => {
-      conn.exec(command, (err, stream) => {
+      this.exec(serverConfig, command, (err, stream) => {
         if (err) {
           return reject(err);
         }
@@ -205,6 +269,103 @@ class SSHManager {
     }
   }
 
+  /**
+   * Count the files and bytes below a directory
+   * @param {Object} serverConfig - Server configuration
+   * @param {string} path - Directory path
+   * @returns {Promise<Object>} { fileCount, totalBytes }
+   */
+  async getDirectoryStats(serverConfig, path) {
+    const escapedPath = path.replace(/'/g, "'\\''");
+    const command = `[ -d '${escapedPath}' ] || exit 2; find '${escapedPath}' -type f -printf '%s\\n' | awk '{ n++; s += $1 } END { printf "%d %.0f\\n", n, s }'`;
+
+    const result = await this.executeCommand(serverConfig, command);
+
+    if (result.exitCode !== 0) {
+      throw new Error(`Directory not found or inaccessible: ${path}`);
+    }
+
+    const [fileCount, totalBytes] = result.stdout.split(' ').map(n => parseInt(n, 10));
+    return { fileCount, totalBytes };
+  }
+
+  /**
+   * Get the free space of the filesystems holding the given paths
+   * Paths that don't exist yet are measured at their nearest existing parent.
+   * @param {Object} serverConfig - Server configuration
+   * @param {Array<string>} paths - Paths to measure
+   * @returns {Promise<Array>} Array of { path, mount, availableBytes, totalBytes }
+   */
+  async getFreeSpace(serverConfig, paths) {
+    const command = paths.map(p => {
+      const escapedPath = p.replace(/'/g, "'\\''");
+      return `p='${escapedPath}'; while [ ! -e "$p" ] && [ "$p" != / ]; do p=$(dirname "$p"); done; ` +
+        `df -B1 --output=avail,size,target "$p" | tail -n 1`;
+    }).join('; ');
+
+    const result = await this.executeCommand(serverConfig, command);
+
+    if (result.exitCode !== 0) {
+      throw new Error(`Failed to get free space: ${result.stderr || result.stdout}`);
+    }
+
+    // One "avail size target" line per path, in order
+    const lines = result.stdout.split('\n').filter(Boolean);
+    return paths.map((p, index) => {
+      const match = (lines[index] || '').trim().match(/^(\d+)\s+(\d+)\s+(.+)$/);
+      if (!match) {
+        throw new Error(`Unexpected df output for ${p}: ${lines[index]}`);
+      }
+      return {
+        path: p,
+        mount: match[3],
+        availableBytes: parseInt(match[1], 10),
+        totalBytes: parseInt(match[2], 10)
+      };
+    });
+  }
+
+  /**
+   * List the regular files directly inside a directory with their exact sizes
+   * @param {Object} serverConfig - Server configuration
+   * @param {string} path - Directory path
+   * @returns {Promise<Array>} Array of { name, size }
+   */
+  async getDirectoryFiles(serverConfig, path) {
+    const escapedPath = path.replace(/'/g, "'\\''");
+    const command = `[ -d '${escapedPath}' ] || exit 2; find '${escapedPath}' -mindepth 1 -maxdepth 1 -type f -printf '%s\\t%f\\n'`;
+
+    const result = await this.executeCommand(serverConfig, command);
+
+    if (result.exitCode !== 0) {
+      throw new Error(`Directory not found or inaccessible: ${path}`);
+    }
+
+    return result.stdout
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        const [size, ...name] = line.split('\t');
+        return { name: name.join('\t'), size: parseInt(size, 10) };
+      });
+  }
+
+  /**
+   * Read the resolution of the first video stream of a file with ffprobe
+   * @param {Object} serverConfig - Server configuration
+   * @param {string} path - Video file path
+   * @returns {Promise<Object|null>} { width, height } or null if ffprobe is missing or failed
+   */
+  async getVideoResolution(serverConfig, path) {
+    const escapedPath = path.replace(/'/g, "'\\''");
+    const command = `command -v ffprobe >/dev/null 2>&1 || exit 127; ffprobe -v error -select_streams v:0 -show_entries stream=width,height -of csv=p=0 '${escapedPath}'`;
+
+    const result = await this.executeCommand(serverConfig, command);
+    const match = result.exitCode === 0 && result.stdout.match(/^(\d+),(\d+)/);
+
+    return match ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) } : null;
+  }
+
   /**
    * Get file information
    * @param {Object} serverConfig - Server configuration
@@ -238,26 +399,177 @@ class SSHManager {
   }
 
   /**
-   * Start an rsync transfer between two servers
+   * List the checksum algorithms a server can compute, fastest first
+   * @param {Object} serverConfig - Server configuration
+   * @returns {Promise<Array<string>>} Algorithm names ('xxh128', 'xxh64', 'sha256')
+   */
+  async getChecksumAlgorithms(serverConfig) {
+    const names = Object.keys(CHECKSUM_COMMANDS);
+    const commands = names.map(name => CHECKSUM_COMMANDS[name]).join(' ');
+    const result = await this.executeCommand(
+      serverConfig,
+      `for c in ${commands}; do command -v "$c" >/dev/null 2>&1 && echo "$c"; done`
+    );
+
+    const available = result.stdout.split('\n').map(line => line.trim());
+    return names.filter(name => available.includes(CHECKSUM_COMMANDS[name]));
+  }
+
+  /**
+   * Compute the checksum of a file on a remote server
+   * @param {Object} serverConfig - Server configuration
+   * @param {string} filePath - File path
+   * @param {string} algorithm - 'xxh128', 'xxh64' or 'sha256'
+   * @param {Object} options - Additional options
+   * @param {AbortSignal} options.signal - Kills the checksum process and rejects with the abort reason
+   * @returns {Promise<string>} Hex digest
+   */
+  async computeChecksum(serverConfig, filePath, algorithm, options = {}) {
+    const command = CHECKSUM_COMMANDS[algorithm];
+
+    if (!command) {
+      throw new Error(`Unsupported checksum algorithm: ${algorithm}`);
+    }
+
+    const { signal } = options;
+    signal?.throwIfAborted();
+
+    // Print the shell PID before exec'ing the checksum command so a long run can be killed
+    const escapedPath = filePath.replace(/'/g, "'\\''");
+    const wrappedCommand = `echo "PID:$$"; exec ${command} '${escapedPath}'`;
+
+    const output = await new Promise((resolve, reject) => {
+      this.exec(serverConfig, wrappedCommand, (err, stream) => {
+        if (err) {
+          return reject(err);
+        }
+
+        let stdout = '';
+        let stderr = '';
+        let pid = null;
+
+        const kill = () => {
+          if (pid !== null) {
+            this.cancelTransfer(serverConfig, pid).catch(() => {});
+          }
+        };
+        const onAbort = () => {
+          kill();
+          reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        stream.on('close', (exitCode) => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve({ stdout: stdout.trim(), stderr: stderr.trim(), exitCode });
+        });
+
+        stream.on('data', (data) => {
+          let text = data.toString();
+
+          if (pid === null) {
+            const pidMatch = text.match(/^PID:(\d+)\r?\n?/);
+            if (pidMatch) {
+              pid = parseInt(pidMatch[1], 10);
+              text = text.slice(pidMatch[0].length);
+              // Aborted before the PID arrived
+              if (signal?.aborted) {
+                kill();
+              }
+            }
+          }
+
+          stdout += text;
+        });
+
+        stream.stderr.on('data', (data) => {
+          stderr += data.toString();
+        });
+      });
+    });
+
+    if (output.exitCode !== 0) {
+      throw new Error(`Failed to compute ${algorithm} checksum of ${filePath}: ${output.stderr || output.stdout}`);
+    }
+
+    return output.stdout.split(/\s+/)[0].toLowerCase();
+  }
+
+  /**
+   * Copy a file or directory between two servers with the given transfer method
    * @param {Object} sourceConfig - Source server configuration
    * @param {Object} destConfig - Destination server configuration
-   * @param {string} sourcePath - Source file path
-   * @param {string} destPath - Destination file path
+   * @param {string} sourcePath - Source file or directory path
+   * @param {string} destPath - Destination file or directory path
    * @param {Function} progressCallback - Callback for progress updates
+   * @param {Object} options - Options for startRsyncTransfer or startRelayTransfer
+   * @param {string} options.method - 'push' (default), 'pull' or 'relay'
    * @returns {Promise<Object>} Transfer result
    */
-  async startRsyncTransfer(sourceConfig, destConfig, sourcePath, destPath, progressCallback) {
-    const conn = await this.connect(sourceConfig);
+  async runTransfer(sourceConfig, destConfig, sourcePath, destPath, progressCallback, options = {}) {
+    if (options.method === 'relay') {
+      return this.startRelayTransfer(sourceConfig, destConfig, sourcePath, destPath, progressCallback, options);
+    }
+
+    return this.startRsyncTransfer(sourceConfig, destConfig, sourcePath, destPath, progressCallback, options);
+  }
+
+  /**
+   * Start an rsync transfer between two servers
+   * By default rsync runs on the source and pushes to the destination, which needs SSH access
+   * from the source to the destination. With options.method 'pull' rsync runs on the destination
+   * and fetches from the source instead.
+   * @param {Object} sourceConfig - Source server configuration
+   * @param {Object} destConfig - Destination server configuration
+   * @param {string} sourcePath - Source file or directory path
+   * @param {string} destPath - Destination file or directory path
+   * @param {Function} progressCallback - Callback for progress updates
+   * @param {Object} options - Additional transfer options
+   * @param {Function} options.onStart - Called with { pid, server, close } once the remote rsync is running;
+   *   close() drops the channel and fails the transfer without waiting for rsync to exit
+   * @param {number} options.bwLimit - Bandwidth limit in KB/s (0 or omitted for unlimited)
+   * @param {boolean} options.directory - Copy the contents of sourcePath into destPath recursively
+   * @param {string} options.method - 'push' (default) or 'pull'
+   * @param {Array<string>} options.rsyncArgs - Checked options of the rsync profile (default -avz)
+   * @param {Function} options.onLog - Called with (stream, text) for the command line ('command'),
+   *   rsync's messages ('stdout', progress lines left out) and its errors ('stderr')
+   * @returns {Promise<Object>} Transfer result, with the --stats summary as stats
+   */
+  async startRsyncTransfer(sourceConfig, destConfig, sourcePath, destPath, progressCallback, options = {}) {
+    // A local server always runs rsync itself, reaching the other server with the backend's SSH key
+    let runner = options.method === 'pull' ? destConfig : sourceConfig;
+    if (this.isLocal(sourceConfig) || this.isLocal(destConfig)) {
+      runner = this.isLocal(sourceConfig) ? sourceConfig : destConfig;
+    }
+    const other = runner === sourceConfig ? destConfig : sourceConfig;
     
-    const escapedSourcePath = sourcePath.replace(/'/g, "'\\''");
-    const escapedDestPath = destPath.replace(/'/g, "'\\''");
+    // Trailing slashes make rsync copy the directory's contents into destPath
+    const source = options.directory ? `${sourcePath.replace(/\/+$/, '')}/` : sourcePath;
+    const dest = options.directory ? `${destPath.replace(/\/+$/, '')}/` : destPath;
+    const escapedSourcePath = source.replace(/'/g, "'\\''");
+    const escapedDestPath = dest.replace(/'/g, "'\\''");
     
     // Build rsync command
-    // Using --info=progress2 for better progress reporting and --mkpath to create directories
-    const rsyncCommand = `rsync -avz --info=progress2 --partial --mkpath '${escapedSourcePath}' ${destConfig.ssh.username}@${destConfig.ssh.host}:'${escapedDestPath}'`;
+    // The profile options come first so the flags below always win: --info=progress2 for the
+    // progress parser, --partial for resuming and --mkpath to create directories.
+    // --no-inc-recursive builds the full file list up front so to-chk totals don't grow mid-transfer
+    // and --stats prints the summary kept in the transfer log
+    const profileOptions = (options.rsyncArgs || ['-avz']).join(' ');
+    const bwLimit = parseInt(options.bwLimit, 10);
+    const bwLimitOption = bwLimit > 0 ? ` --bwlimit=${bwLimit}` : '';
+    const recursiveOption = options.directory ? ' --no-inc-recursive' : '';
+    const bothLocal = this.isLocal(sourceConfig) && this.isLocal(destConfig);
+    const location = (server, escapedPath) => (server === runner || bothLocal ? `'${escapedPath}'` : `${server.ssh.username}@${server.ssh.host}:'${escapedPath}'`);
+    const shellOption = this.isLocal(runner) && !bothLocal ? ` -e '${this.getSshCommand(other).replace(/'/g, "'\\''")}'` : '';
+    const rsyncCommand = `rsync ${profileOptions} --info=progress2 --partial --mkpath --stats${recursiveOption}${bwLimitOption}${shellOption} ${location(sourceConfig, escapedSourcePath)} ${location(destConfig, escapedDestPath)}`;
+
+    // Print the shell PID before exec'ing rsync so the process can be killed later
+    const wrappedCommand = `echo "PID:$$"; exec ${rsyncCommand}`;
+    const log = options.onLog || (() => {});
+    log('command', `[${runner.id}] ${rsyncCommand}`);
 
     return new Promise((resolve, reject) => {
-      conn.exec(rsyncCommand, (err, stream) => {
+      this.exec(runner, wrappedCommand, (err, stream) => {
         if (err) {
           return reject(err);
         }
@@ -265,39 +577,87 @@ class SSHManager {
         let stdout = '';
         let stderr = '';
         let lastProgress = null;
+        let lastReportAt = 0;
+        let pid = null;
 
         stream.on('close', (exitCode) => {
+          const stats = this.parseRsyncStats(stdout);
           if (exitCode === 0) {
             resolve({
               success: true,
               stdout: stdout.trim(),
-              stderr: stderr.trim()
+              stderr: stderr.trim(),
+              stats
             });
           } else {
-            reject(new Error(`rsync failed with exit code ${exitCode}: ${stderr || stdout}`));
+            const error = new Error(`rsync failed with exit code ${exitCode}: ${stderr || stdout}`);
+            error.exitCode = exitCode;
+            error.failedFiles = this.parseFailedFiles(stderr);
+            error.stats = stats;
+            reject(error);
           }
         });
 
         stream.on('data', (data) => {
-          const text = data.toString();
+          let text = data.toString();
+
+          // The first line of output is the PID of the remote rsync process
+          if (pid === null) {
+            const pidMatch = text.match(/^PID:(\d+)\r?\n?/);
+            if (pidMatch) {
+              pid = parseInt(pidMatch[1], 10);
+              text = text.slice(pidMatch[0].length);
+              if (options.onStart) {
+                options.onStart({
+                  pid,
+                  server: runner,
+                  close: () => {
+                    reject(new Error('rsync channel closed without waiting for the process to exit'));
+                    stream.close();
+                  }
+                });
+              }
+            }
+          }
+
           stdout += text;
 
-          // Parse rsync progress output
+          const progressLine = /\d+%\s+[\d.]+[kKMGT]?B\/s/;
+          const messages = text.split(/[\r\n]+/).filter(line => line.trim() && !progressLine.test(line));
+          if (messages.length > 0) {
+            log('stdout', messages.join('\n'));
+          }
+
+          // Parse rsync progress output, using the last line when a chunk holds several
           // Format: 123,456,789  45%  1.23MB/s  0:00:12
-          const progressMatch = text.match(/(\d+(?:,\d+)*)\s+(\d+)%\s+([\d.]+[KMG]?B\/s)\s+(\d+:\d+:\d+)/);
+          const progressMatch = [...text.matchAll(/(\d+(?:,\d+)*)\s+(\d+)%\s+([\d.]+[kKMGT]?B\/s)\s+(\d+:\d+:\d+)/g)].pop();
           
           if (progressMatch) {
             const [, transferred, percentage, speed, eta] = progressMatch;
             const progress = {
               transferred: parseInt(transferred.replace(/,/g, '')),
               percentage: parseInt(percentage),
+              bytesPerSecond: this.parseRate(speed),
+              etaSeconds: this.parseDuration(eta),
               speed: speed,
               eta: eta
             };
 
-            // Only call callback if progress changed significantly
-            if (!lastProgress || lastProgress.percentage !== progress.percentage) {
+            // Directory transfers: "to-chk=X/Y" means X of Y file list entries are left to check
+            const checkMatch = [...text.matchAll(/to-chk=(\d+)\/(\d+)/g)].pop();
+            if (checkMatch) {
+              const [, remaining, total] = checkMatch;
+              progress.filesTotal = parseInt(total);
+              progress.filesDone = progress.filesTotal - parseInt(remaining);
+            }
+
+            // Report on percentage changes, and at most once a second otherwise so the rate stays current
+            // (lines without to-chk don't count as a change in files)
+            if (!lastProgress || lastProgress.percentage !== progress.percentage ||
+              (progress.filesDone !== undefined && lastProgress.filesDone !== progress.filesDone) ||
+              Date.now() - lastReportAt >= 1000) {
               lastProgress = progress;
+              lastReportAt = Date.now();
               if (progressCallback) {
                 progressCallback(progress);
               }
@@ -307,26 +667,512 @@ class SSHManager {
 
         stream.stderr.on('data', (data) => {
           stderr += data.toString();
+          log('stderr', data.toString());
         });
       });
     });
   }
 
+  /**
+   * Build the ssh command rsync uses on a local server to reach a remote one
+   * @param {Object} serverConfig - Remote server configuration
+   * @returns {string} ssh command line
+   */
+  getSshCommand(serverConfig) {
+    return `ssh -p ${parseInt(serverConfig.ssh.port, 10) || 22} -i "${this.config.ssh.keyPath}" -o BatchMode=yes`;
+  }
+
+  /**
+   * Open an SFTP session on a server's SSH connection
+   * Local servers get the same stream interface on top of the local filesystem.
+   * @param {Object} serverConfig - Server configuration
+   * @returns {Promise<Object>} SFTP session
+   */
+  async openSftp(serverConfig) {
+    if (this.isLocal(serverConfig)) {
+      return {
+        createReadStream: (filePath, options) => fs.createReadStream(filePath, options),
+        createWriteStream: (filePath, options) => fs.createWriteStream(filePath, options),
+        end: () => {}
+      };
+    }
+
+    const conn = await this.connect(serverConfig);
+
+    return new Promise((resolve, reject) => {
+      conn.sftp((err, sftp) => (err ? reject(err) : resolve(sftp)));
+    });
+  }
+
+  /**
+   * Copy a file or directory by streaming it through this backend over SFTP
+   * For servers that can't reach each other: neither needs SSH access to the other.
+   * Each file is written to ".<name>.relay" next to its destination and renamed once complete,
+   * so a paused or failed copy continues from the bytes already written.
+   * Progress is reported in the same shape as startRsyncTransfer.
+   * @param {Object} sourceConfig - Source server configuration
+   * @param {Object} destConfig - Destination server configuration
+   * @param {string} sourcePath - Source file or directory path
+   * @param {string} destPath - Destination file or directory path
+   * @param {Function} progressCallback - Callback for progress updates
+   * @param {Object} options - Additional transfer options
+   * @param {Function} options.onStart - Called with { method: 'relay', abort } once streaming starts
+   * @param {number} options.bwLimit - Bandwidth limit in KB/s (0 or omitted for unlimited)
+   * @param {boolean} options.directory - Copy the contents of sourcePath into destPath recursively
+   * @returns {Promise<Object>} Transfer result
+   */
+  async startRelayTransfer(sourceConfig, destConfig, sourcePath, destPath, progressCallback, options = {}) {
+    const log = options.onLog || (() => {});
+    let files;
+    let sourceSftp;
+    let destSftp;
+
+    try {
+      files = options.directory
+        ? (await this.listFilesRecursive(sourceConfig, sourcePath)).map(file => ({
+          source: path.posix.join(sourcePath, file.path),
+          dest: path.posix.join(destPath, file.path),
+          size: file.size
+        }))
+        : [{ source: sourcePath, dest: destPath, size: (await this.getFileInfo(sourceConfig, sourcePath)).size }];
+
+      log('command', `relay ${sourceConfig.id}:${sourcePath} -> ${destConfig.id}:${destPath} (${files.length} file(s))`);
+
+      [sourceSftp, destSftp] = await Promise.all([this.openSftp(sourceConfig), this.openSftp(destConfig)]);
+    } catch (error) {
+      error.exitCode = this.getRelayExitCode(error);
+      throw error;
+    }
+
+    const streams = new Set();
+    let abortError = null;
+    const handle = {
+      method: 'relay',
+      abort: () => {
+        abortError = new Error('Relay transfer aborted');
+        for (const stream of streams) {
+          stream.destroy(abortError);
+        }
+      }
+    };
+
+    if (options.onStart) {
+      options.onStart(handle);
+    }
+
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    const startedAt = Date.now();
+    let finishedBytes = 0;
+    let startBytes = null;
+    let lastProgress = null;
+    let lastReportAt = 0;
+
+    const report = (transferred, filesDone) => {
+      // Rate over this run only, so bytes resumed from an earlier run don't inflate it
+      startBytes = startBytes ?? transferred;
+      const elapsed = (Date.now() - startedAt) / 1000;
+      const bytesPerSecond = elapsed > 0 ? (transferred - startBytes) / elapsed : 0;
+      const etaSeconds = bytesPerSecond > 0 ? Math.round((totalBytes - transferred) / bytesPerSecond) : 0;
+      const progress = {
+        transferred,
+        totalBytes,
+        percentage: totalBytes > 0 ? Math.floor((transferred / totalBytes) * 100) : 100,
+        bytesPerSecond: Math.round(bytesPerSecond),
+        etaSeconds,
+        speed: this.formatRate(bytesPerSecond),
+        eta: this.formatDuration(etaSeconds)
+      };
+      if (options.directory) {
+        progress.filesDone = filesDone;
+        progress.filesTotal = files.length;
+      }
+
+      // Same cadence as rsync output: on percentage changes, at most once a second otherwise
+      if (!lastProgress || lastProgress.percentage !== progress.percentage ||
+        lastProgress.filesDone !== progress.filesDone || Date.now() - lastReportAt >= 1000) {
+        lastProgress = progress;
+        lastReportAt = Date.now();
+        if (progressCallback) {
+          progressCallback(progress);
+        }
+      }
+    };
+
+    const failedFiles = [];
+
+    try {
+      for (const [index, file] of files.entries()) {
+        if (abortError) {
+          throw abortError;
+        }
+
+        try {
+          await this.relayFile(sourceSftp, destConfig, destSftp, file, streams, parseInt(options.bwLimit, 10) || 0,
+            (bytes) => report(finishedBytes + bytes, index));
+        } catch (error) {
+          log('stderr', `${file.source}: ${error.message}`);
+          if (abortError || !options.directory) {
+            throw error;
+          }
+          failedFiles.push({ path: file.source, error: error.message, exitCode: this.getRelayExitCode(error) });
+        }
+
+        finishedBytes += file.size;
+        report(finishedBytes, index + 1);
+      }
+    } catch (error) {
+      if (abortError) {
+        throw abortError;
+      }
+      error.exitCode = this.getRelayExitCode(error);
+      throw error;
+    } finally {
+      sourceSftp.end();
+      destSftp.end();
+    }
+
+    if (failedFiles.length > 0) {
+      const error = new Error(`Relay failed for ${failedFiles.length} of ${files.length} file(s): ${failedFiles[0].error}`);
+      // Like rsync's partial transfer (23), unless every file failed for a reason a retry won't fix
+      error.exitCode = failedFiles.some(file => file.exitCode !== 11) ? 23 : 11;
+      error.failedFiles = failedFiles.map(({ path: filePath, error: message }) => ({ path: filePath, error: message }));
+      throw error;
+    }
+
+    const elapsed = (Date.now() - startedAt) / 1000;
+    log('stdout', `relayed ${finishedBytes} bytes in ${elapsed.toFixed(1)}s`);
+    return { success: true, stdout: '', stderr: '', stats: null };
+  }
+
+  /**
+   * Map a relay error to the exit code rsync gives the same failure
+   * so transfer.retry.retryableExitCodes applies to both: a lost connection is 10 (socket I/O),
+   * a timeout 30, and anything else (missing file, permissions, full disk) 11 (file I/O).
+   * @param {Error} error - Error from SSH, SFTP or a remote command
+   * @returns {number} rsync exit code
+   */
+  getRelayExitCode(error) {
+    if (error.level === 'client-timeout' || error.code === 'ETIMEDOUT' || /timed out/i.test(error.message)) {
+      return 30;
+    }
+
+    if (error.level === 'client-socket' || NETWORK_ERROR_CODES.includes(error.code) ||
+      SFTP_CONNECTION_STATUSES.includes(error.code) || /not connected|connection (lost|closed|reset)|no response/i.test(error.message)) {
+      return 10;
+    }
+
+    return 11;
+  }
+
+  /**
+   * Stream one file from the source SFTP session to the destination one
+   * @param {Object} sourceSftp - Source SFTP session
+   * @param {Object} destConfig - Destination server configuration
+   * @param {Object} destSftp - Destination SFTP session
+   * @param {Object} file - { source, dest, size }
+   * @param {Set} streams - Open streams, destroyed when the transfer is aborted
+   * @param {number} bwLimit - Bandwidth limit in KB/s (0 for unlimited)
+   * @param {Function} onBytes - Called with the bytes of this file written so far
+   */
+  async relayFile(sourceSftp, destConfig, destSftp, file, streams, bwLimit, onBytes) {
+    const tempPath = path.posix.join(path.posix.dirname(file.dest), `.${path.posix.basename(file.dest)}.relay`);
+    const escapedDir = path.posix.dirname(file.dest).replace(/'/g, "'\\''");
+    const escapedTemp = tempPath.replace(/'/g, "'\\''");
+
+    // Create the folder and find out how much of the file an earlier run already wrote
+    const prepared = await this.executeCommand(destConfig, `mkdir -p '${escapedDir}' && { stat -c %s '${escapedTemp}' 2>/dev/null || echo 0; }`);
+    if (prepared.exitCode !== 0) {
+      throw new Error(`Failed to prepare ${path.posix.dirname(file.dest)}: ${prepared.stderr || prepared.stdout}`);
+    }
+
+    const existingBytes = parseInt(prepared.stdout, 10) || 0;
+    const offset = existingBytes <= file.size ? existingBytes : 0;
+    let written = offset;
+    const startedAt = Date.now();
+    onBytes(written);
+
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        written += chunk.length;
+        onBytes(written);
+
+        // Hold the stream back when it runs ahead of the bandwidth limit
+        const aheadMs = bwLimit > 0 ? ((written - offset) / (bwLimit * 1024)) * 1000 - (Date.now() - startedAt) : 0;
+        if (aheadMs > 0) {
+          setTimeout(() => callback(null, chunk), aheadMs);
+        } else {
+          callback(null, chunk);
+        }
+      }
+    });
+
+    const reader = sourceSftp.createReadStream(file.source, { start: offset });
+    const writer = destSftp.createWriteStream(tempPath, offset > 0 ? { flags: 'r+', start: offset } : { flags: 'w' });
+    const fileStreams = [reader, counter, writer];
+    fileStreams.forEach(stream => streams.add(stream));
+
+    try {
+      await pipeline(reader, counter, writer);
+    } finally {
+      fileStreams.forEach(stream => streams.delete(stream));
+    }
+
+    const escapedDest = file.dest.replace(/'/g, "'\\''");
+    const moved = await this.executeCommand(destConfig, `mv -f '${escapedTemp}' '${escapedDest}'`);
+    if (moved.exitCode !== 0) {
+      throw new Error(`Failed to move ${tempPath} into place: ${moved.stderr || moved.stdout}`);
+    }
+  }
+
+  /**
+   * List the regular files below a directory with their paths relative to it
+   * @param {Object} serverConfig - Server configuration
+   * @param {string} dirPath - Directory path
+   * @returns {Promise<Array>} Array of { path, size }
+   */
+  async listFilesRecursive(serverConfig, dirPath) {
+    const escapedPath = dirPath.replace(/'/g, "'\\''");
+    const command = `[ -d '${escapedPath}' ] || exit 2; find '${escapedPath}' -type f -printf '%s\\t%P\\n'`;
+
+    const result = await this.executeCommand(serverConfig, command);
+
+    if (result.exitCode !== 0) {
+      throw new Error(`Directory not found or inaccessible: ${dirPath}`);
+    }
+
+    return result.stdout
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        const [size, ...relativePath] = line.split('\t');
+        return { path: relativePath.join('\t'), size: parseInt(size, 10) };
+      });
+  }
+
+  /**
+   * Format a transfer rate the way rsync prints it
+   * @param {number} bytesPerSecond - Rate in bytes per second
+   * @returns {string} e.g. "1.23MB/s"
+   */
+  formatRate(bytesPerSecond) {
+    if (bytesPerSecond >= 1024 * 1024 * 1024) {
+      return `${(bytesPerSecond / (1024 * 1024 * 1024)).toFixed(2)}GB/s`;
+    }
+    if (bytesPerSecond >= 1024 * 1024) {
+      return `${(bytesPerSecond / (1024 * 1024)).toFixed(2)}MB/s`;
+    }
+    return `${(bytesPerSecond / 1024).toFixed(2)}kB/s`;
+  }
+
+  /**
+   * Parse a transfer rate printed by rsync
+   * rsync's units are powers of 1024, with a lowercase k for kilobytes
+   * @param {string} rate - e.g. "1.23MB/s" or "512.00kB/s"
+   * @returns {number|null} Bytes per second, or null if the rate can't be read
+   */
+  parseRate(rate) {
+    const match = /^([\d.]+)([kKMGT]?)B\/s$/.exec(rate);
+    if (!match) {
+      return null;
+    }
+
+    const exponent = ' KMGT'.indexOf(match[2].toUpperCase() || ' ');
+    return Math.round(parseFloat(match[1]) * 1024 ** exponent);
+  }
+
+  /**
+   * Parse a duration printed by rsync as its ETA
+   * @param {string} duration - e.g. "0:01:05"
+   * @returns {number|null} Seconds, or null if the duration can't be read
+   */
+  parseDuration(duration) {
+    const match = /^(\d+):(\d{2}):(\d{2})$/.exec(duration);
+    if (!match) {
+      return null;
+    }
+
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+  }
+
+  /**
+   * Format a duration the way rsync prints its ETA
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} e.g. "0:01:05"
+   */
+  formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+    const secs = String(total % 60).padStart(2, '0');
+    return `${Math.floor(total / 3600)}:${minutes}:${secs}`;
+  }
+
+  /**
+   * Read the summary printed by rsync --stats
+   * @param {string} output - rsync standard output
+   * @returns {Object|null} { filesTransferred, totalFileSize, transferredFileSize, literalData, matchedData,
+   *   bytesSent, bytesReceived, bytesPerSecond, speedup }, or null if there is no summary
+   */
+  parseRsyncStats(output) {
+    const fields = {
+      filesTransferred: /Number of regular files transferred: ([\d,]+)/,
+      totalFileSize: /Total file size: ([\d,]+) bytes/,
+      transferredFileSize: /Total transferred file size: ([\d,]+) bytes/,
+      literalData: /Literal data: ([\d,]+) bytes/,
+      matchedData: /Matched data: ([\d,]+) bytes/,
+      bytesSent: /Total bytes sent: ([\d,]+)/,
+      bytesReceived: /Total bytes received: ([\d,]+)/,
+      bytesPerSecond: /received [\d,]+ bytes\s+([\d,.]+) bytes\/sec/,
+      speedup: /speedup is ([\d,.]+)/
+    };
+
+    const stats = {};
+    for (const [name, pattern] of Object.entries(fields)) {
+      const match = pattern.exec(output);
+      stats[name] = match ? parseFloat(match[1].replace(/,/g, '')) : null;
+    }
+
+    return Object.values(stats).some(value => value !== null) ? stats : null;
+  }
+
+  /**
+   * Extract the files rsync reported errors for
+   * Matches lines such as: rsync: [sender] send_files failed to open "/path/file": Permission denied (13)
+   * @param {string} stderr - rsync error output
+   * @returns {Array} Array of { path, error }
+   */
+  parseFailedFiles(stderr) {
+    const failedFiles = [];
+    const pattern = /^rsync(?:: \[\w+\])?:? (.*?)"([^"]+)":\s*(.+?)(?:\s+\(\d+\))?$/gm;
+    let match;
+
+    while ((match = pattern.exec(stderr)) !== null) {
+      const [, action, filePath, reason] = match;
+      if (!failedFiles.some(f => f.path === filePath)) {
+        failedFiles.push({ path: filePath, error: `${action.trim()}: ${reason}`.replace(/^: /, '') });
+      }
+    }
+
+    return failedFiles;
+  }
+
+  /**
+   * Check whether a process is still running on a remote server
+   * @param {Object} serverConfig - Server configuration
+   * @param {number} pid - Process ID to check
+   * @returns {Promise<boolean>}
+   */
+  async isProcessRunning(serverConfig, pid) {
+    const result = await this.executeCommand(serverConfig, `kill -0 ${parseInt(pid, 10)} 2>/dev/null && echo "running" || echo "stopped"`);
+    return result.stdout === 'running';
+  }
+
   /**
    * Cancel an ongoing transfer
+   * Sends SIGTERM so rsync can stop its child processes, escalates to SIGKILL if it
+   * does not exit in time, and only resolves once the process is confirmed dead.
    * @param {Object} serverConfig - Server configuration
    * @param {number} pid - Process ID to kill
+   * @param {number} timeout - Milliseconds to wait after SIGTERM before sending SIGKILL
    */
-  async cancelTransfer(serverConfig, pid) {
+  async cancelTransfer(serverConfig, pid, timeout = 10000) {
+    const processId = parseInt(pid, 10);
+
+    if (!Number.isInteger(processId) || processId <= 1) {
+      throw new Error(`Invalid process ID: ${pid}`);
+    }
+
     try {
-      await this.executeCommand(serverConfig, `kill -9 ${pid}`);
-      console.log(`[SSH] Cancelled transfer process ${pid}`);
+      await this.executeCommand(serverConfig, `kill -TERM ${processId} 2>/dev/null`);
+
+      const deadline = Date.now() + timeout;
+      while (Date.now() < deadline) {
+        if (!(await this.isProcessRunning(serverConfig, processId))) {
+          console.log(`[SSH] Cancelled transfer process ${processId}`);
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+
+      await this.executeCommand(serverConfig, `kill -KILL ${processId} 2>/dev/null`);
+
+      if (await this.isProcessRunning(serverConfig, processId)) {
+        throw new Error(`Process ${processId} is still running after SIGKILL`);
+      }
+
+      console.log(`[SSH] Killed transfer process ${processId}`);
     } catch (error) {
       console.error(`[SSH] Error cancelling transfer:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Remove a partially transferred file and rsync's temporary files next to it
+   * @param {Object} serverConfig - Server configuration
+   * @param {string} filePath - Destination file path
+   */
+  async removePartialFile(serverConfig, filePath) {
+    const escapedPath = filePath.replace(/'/g, "'\\''");
+    const directory = path.posix.dirname(filePath).replace(/'/g, "'\\''");
+    // rsync writes in-progress data to ".<name>.XXXXXX"; escape glob characters in the name
+    const tempPattern = `.${path.posix.basename(filePath).replace(/[[\]*?\\]/g, '\\$&')}.*`.replace(/'/g, "'\\''");
+
+    const result = await this.executeCommand(
+      serverConfig,
+      `rm -f '${escapedPath}' && { find '${directory}' -maxdepth 1 -type f -name '${tempPattern}' -delete 2>/dev/null; true; }`
+    );
+
+    if (result.exitCode !== 0) {
+      throw new Error(`Failed to remove partial file: ${result.stderr || result.stdout}`);
+    }
+
+    console.log(`[SSH] Removed partial file ${filePath}`);
+  }
+
+  /**
+   * Remove a source file after it has been moved, along with any parent folders left empty
+   * Folders are removed bottom-up until a non-empty one or stopAt (which is never removed).
+   * @param {Object} serverConfig - Server configuration
+   * @param {string} filePath - Source file path
+   * @param {string} stopAt - Media root the file lives under; parents are only removed below it
+   * @param {Object} options - Removal options
+   * @param {boolean} options.recursive - filePath is a directory to remove with its contents
+   * @returns {Promise<string>} Deepest folder that still exists after the cleanup
+   */
+  async removeSourceFile(serverConfig, filePath, stopAt, options = {}) {
+    const target = filePath.replace(/\/+$/, '');
+    const escapedPath = target.replace(/'/g, "'\\''");
+    const directory = path.posix.dirname(target);
+    const root = stopAt ? stopAt.replace(/\/+$/, '') : '';
+
+    // Never delete a whole directory unless it sits inside the media root
+    if (options.recursive && !(root && target.startsWith(`${root}/`))) {
+      throw new Error(`Refusing to remove directory outside the media paths: ${filePath}`);
+    }
+    const removeCommand = options.recursive ? `rm -rf -- '${escapedPath}'` : `rm -f '${escapedPath}'`;
+
+    // Only prune folders when the file is inside the media root
+    const pruneFolders = root && directory.startsWith(`${root}/`);
+    const escapedDirectory = directory.replace(/'/g, "'\\''");
+    const escapedRoot = root.replace(/'/g, "'\\''");
+
+    const command = pruneFolders
+      ? `${removeCommand} && dir='${escapedDirectory}'; ` +
+        `while [ "$dir" != '${escapedRoot}' ] && [ "$dir" != / ] && rmdir "$dir" 2>/dev/null; do dir=$(dirname "$dir"); done; ` +
+        `echo "REMAINING:$dir"`
+      : `${removeCommand} && echo 'REMAINING:${escapedDirectory}'`;
+
+    const result = await this.executeCommand(serverConfig, command);
+
+    if (result.exitCode !== 0) {
+      throw new Error(`Failed to remove source file: ${result.stderr || result.stdout}`);
+    }
+
+    const remainingMatch = result.stdout.match(/REMAINING:(.*)/);
+    console.log(`[SSH] Removed source ${options.recursive ? 'directory' : 'file'} ${filePath}`);
+    return remainingMatch ? remainingMatch[1].trim() : directory;
+  }
+
   /**
    * Close a specific connection
    * @param {string} host - Host to disconnect from
@@ -1,251 +1,2740 @@
 import sshManager from './ssh-manager.js';
+import transferStore from './transfer-store.js';
+import libraryScanner from './library-scanner.js';
+import pathMapper from './path-mapper.js';
+import plexService from './plex-service.js';
+import path from 'path';
+import { findActiveWindow, isWithinWindow } from '../utils/time-windows.js';
+import { DEFAULT_RSYNC_PROFILES, parseRsyncOptions } from '../utils/rsync-options.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// Lower rank is started first
+const PRIORITY_RANKS = { high: 0, normal: 1, low: 2 };
+
+const QUEUE_STRATEGIES = ['fifo', 'smallest-first', 'largest-first', 'oldest-added-first'];
+
+// How files get from the source to the destination, per server pair (transfer.pairs[...].method):
+// rsync pushed from the source, rsync pulled by the destination, or streamed through this backend
+const TRANSFER_METHODS = ['push', 'pull', 'relay'];
+
+// What to do when the destination file already exists
+const CONFLICT_POLICIES = ['skip', 'overwrite', 'rename', 'keep-larger', 'keep-higher-resolution'];
+
+// Automatic retry defaults, overridable through transfer.retry in the config.
+// Exit codes: 10 socket I/O, 12 protocol stream, 23 partial transfer, 30 I/O timeout, 35 daemon timeout
+const DEFAULT_RETRY = {
+  maxAttempts: 3,
+  initialDelayMs: 30 * 1000,
+  backoffMultiplier: 2,
+  maxDelayMs: 10 * 60 * 1000,
+  retryableExitCodes: [10, 12, 23, 30, 35]
+};
+
+// Files carried along with each video, overridable through transfer.sidecars in the config.
+// {basename} is the video filename without its extension; patterns match case-insensitively.
+const DEFAULT_SIDECARS = {
+  enabled: true,
+  patterns: [
+    '{basename}.srt', '{basename}.*.srt',
+    '{basename}.ass', '{basename}.*.ass',
+    '{basename}.ssa', '{basename}.*.ssa',
+    '{basename}.sub', '{basename}.idx',
+    '{basename}.nfo',
+    '{basename}-poster.jpg', '{basename}-fanart.jpg', '{basename}-thumb.jpg',
+    'poster.jpg', 'fanart.jpg', 'folder.jpg', 'theme.mp3', 'movie.nfo'
+  ]
+};
+
+/**
+ * Convert a sidecar pattern into a regular expression for one video
+ * @param {string} pattern - Glob pattern, may contain {basename}, * and ?
+ * @param {string} basename - Video filename without extension
+ * @returns {RegExp} Case-insensitive regular expression matching whole filenames
+ */
+function sidecarPatternToRegExp(pattern, basename) {
+  const escape = (text) => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  const source = pattern
+    .split('{basename}')
+    .map(part => escape(part).replace(/\*/g, '.*').replace(/\?/g, '.'))
+    .join(escape(basename));
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Free space check defaults, overridable through transfer.spaceCheck in the config.
+// mode 'reject' refuses requests that don't fit, 'warn' accepts them with a warning.
+const DEFAULT_SPACE_CHECK = {
+  enabled: true,
+  mode: 'reject',
+  reserveBytes: 10 * 1024 * 1024 * 1024
+};
+
+// Statuses of transfers that still have to write to their destination
+const PENDING_STATUSES = ['scheduled', 'queued', 'paused', 'active', 'verifying'];
+
+// Rate history kept per transfer for graphs: one sample every 5 seconds, the last 10 minutes.
+// The current rate of a transfer is the average of its samples from the last 30 seconds.
+const SPEED_SAMPLE_INTERVAL_MS = 5 * 1000;
+const SPEED_SAMPLE_LIMIT = 120;
+const SPEED_AVERAGE_WINDOW_MS = 30 * 1000;
+
+// rsync reports progress several times a second; the journal only needs it now and then
+const PROGRESS_PERSIST_INTERVAL_MS = 10 * 1000;
+
+// A running transfer without progress or output for transfer.stallTimeoutSec (0 disables the check)
+// is stopped and retried. If its process can't be stopped within STALL_STOP_TIMEOUT_MS the
+// channel to it is dropped instead.
+const DEFAULT_STALL_TIMEOUT_SEC = 300;
+const STALL_STOP_TIMEOUT_MS = 30 * 1000;
+
+// Checksums report no progress, so a verifying transfer also gets the time to read the file
+// at VERIFY_MIN_BYTES_PER_SECOND on top of the stall timeout
+const VERIFY_MIN_BYTES_PER_SECOND = 20 * 1024 * 1024;
+
+// Transfer logs are kept in memory, the last 500 lines per transfer, each cut to 2000 characters
+const LOG_LINE_LIMIT = 500;
+const LOG_LINE_LENGTH = 2000;
+
+/**
+ * Wait for a promise to settle, giving up after a timeout
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @returns {Promise<boolean>} True if the promise settled in time
+ */
+function settlesWithin(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), ms);
+  });
+  return Promise.race([promise.then(() => true, () => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Wait for a step of a transfer run, rejecting as soon as the run is aborted
+ * The step itself keeps going; it checks the signal before changing the transfer.
+ * @param {Promise} promise - Step to wait for
+ * @param {AbortSignal} signal - Abort signal of the run
+ * @returns {Promise} Result of the step
+ */
+function untilAborted(promise, signal) {
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Format a byte count for messages
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Human readable size
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// Plex partial scan defaults, overridable through transfer.plexScan in the config
+const DEFAULT_PLEX_SCAN = {
+  enabled: true,
+  debounceMs: 10 * 1000,
+  pollIntervalMs: 15 * 1000,
+  timeoutMs: 10 * 60 * 1000
+};
+
 class TransferManager {
   constructor() {
     this.transfers = new Map();
+    this.batches = new Map(); // batchId -> { id, name, sourceServerId, destServerId, transferIds, createdAt, startedAt }
     this.queue = [];
     this.activeTransfers = new Set();
+    this.processes = new Map(); // transferId -> { pid, server } of the running rsync, or { method: 'relay', abort }
+    this.runs = new Map(); // transferId -> Promise settled when the transfer finishes
+    this.runAborts = new Map(); // transferId -> AbortController that settles the run without waiting for its current step
+    this.logs = new Map(); // transferId -> { lines: [{ seq, at, stream, text }], nextSeq, dropped }
     this.maxConcurrent = 3;
+    this.queuePaused = false;
+    this.queueStrategy = 'fifo';
     this.io = null; // Socket.io instance
+    this.config = null;
+    this.schedulerTimer = null;
+  }
+
+  /**
+   * Set the configuration object
+   * @param {Object} config - Configuration object
+   */
+  setConfig(config) {
+    this.config = config;
+  }
+
+  /**
+   * Periodically release scheduled transfers and restart the queue after quiet hours
+   * @param {number} interval - Check interval in milliseconds
+   */
+  startScheduler(interval = 30 * 1000) {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+    }
+
+    this.schedulerTimer = setInterval(() => {
+      // An exception here would otherwise take the whole backend down on every tick
+      try {
+        this.releaseScheduledTransfers();
+        this.checkStalledTransfers();
+        this.processQueue();
+      } catch (error) {
+        console.error('[Transfer] Scheduler check failed:', error.message);
+      }
+    }, interval);
+  }
+
+  /**
+   * Get a named transfer window from transfer.windows
+   * @param {string} name - Window name
+   * @returns {Object|undefined} Time window
+   */
+  getTransferWindow(name) {
+    return this.config?.transfer?.windows?.[name];
+  }
+
+  /**
+   * Check whether the configured quiet hours are in effect
+   * @param {Date} date - Time to check (default: now)
+   * @returns {boolean}
+   */
+  isQuietTime(date = new Date()) {
+    return Boolean(findActiveWindow(this.config?.transfer?.quietHours, date));
+  }
+
+  /**
+   * Check whether a scheduled or queued transfer is allowed to start
+   * @param {Object} transfer - Transfer object
+   * @param {Date} date - Time to check (default: now)
+   * @returns {boolean}
+   */
+  isEligibleToStart(transfer, date = new Date()) {
+    if (transfer.scheduledFor && transfer.scheduledFor > date.getTime()) {
+      return false;
+    }
+
+    if (transfer.window) {
+      const window = this.getTransferWindow(transfer.window);
+      // A window removed from the config no longer holds the transfer back
+      return !window || isWithinWindow(window, date);
+    }
+
+    return true;
+  }
+
+  /**
+   * Move scheduled transfers whose start time or window has arrived into the queue
+   */
+  releaseScheduledTransfers() {
+    const due = Array.from(this.transfers.values())
+      .filter(t => t.status === 'scheduled' && this.isEligibleToStart(t))
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    for (const transfer of due) {
+      transfer.status = 'queued';
+      this.enqueue(transfer.id);
+      console.log(`[Transfer] Scheduled transfer ${transfer.id} is due: ${transfer.filename}`);
+      this.emitTransferUpdate(transfer);
+    }
+
+    if (due.length > 0) {
+      this.persist();
+    }
+  }
+
+  /**
+   * Get the supported queue ordering strategies
+   * @returns {Array<string>} Strategy names
+   */
+  getQueueStrategies() {
+    return QUEUE_STRATEGIES;
+  }
+
+  /**
+   * Get the supported priority levels
+   * @returns {Array<string>} Priority names
+   */
+  getPriorities() {
+    return Object.keys(PRIORITY_RANKS);
+  }
+
+  /**
+   * Set Socket.IO instance for real-time updates
+   * @param {Object} socketIO - Socket.IO server instance
+   */
+  setSocketIO(socketIO) {
+    this.io = socketIO;
+  }
+
+  /**
+   * Set maximum concurrent transfers
+   * @param {number} max - Maximum concurrent transfers
+   */
+  setMaxConcurrent(max) {
+    this.maxConcurrent = max;
+    this.processQueue();
+  }
+
+  /**
+   * Restore transfers persisted before the last shutdown
+   * Queued transfers are re-queued in their original order and transfers that were
+   * active are put back at the front of the queue; rsync's --partial lets them
+   * continue from the data already on the destination. Paused transfers stay paused.
+   * @param {Object} options - Restore options
+   * @param {string} options.queueStrategy - Configured strategy; wins over the one saved in the
+   *   journal and is applied before the queue starts
+   */
+  restore(options = {}) {
+    const state = transferStore.load();
+
+    if (options.queueStrategy) {
+      this.queueStrategy = options.queueStrategy;
+    }
+
+    if (!state || !Array.isArray(state.transfers)) {
+      return;
+    }
+
+    const interrupted = [];
+
+    for (const batch of state.batches || []) {
+      this.batches.set(batch.id, batch);
+    }
+
+    for (const transfer of state.transfers) {
+      if (['active', 'verifying'].includes(transfer.status) && transfer.abortRequested === 'cancel') {
+        // The backend stopped while this transfer was being cancelled
+        transfer.status = 'cancelled';
+        transfer.completedAt = transfer.completedAt || Date.now();
+      } else if (['active', 'verifying'].includes(transfer.status) && transfer.abortRequested === 'pause') {
+        transfer.status = 'paused';
+        transfer.abortRequested = null;
+      } else if (transfer.status === 'active' || transfer.status === 'verifying') {
+        // A stall stop that was under way no longer matters, the transfer starts over
+        transfer.status = 'queued';
+        transfer.abortRequested = null;
+        transfer.resumed = true;
+        interrupted.push(transfer.id);
+      }
+      this.transfers.set(transfer.id, transfer);
+    }
+
+    const savedQueue = (state.queue || []).filter(id => this.transfers.get(id)?.status === 'queued');
+    const orphaned = Array.from(this.transfers.values())
+      .filter(t => t.status === 'queued' && !interrupted.includes(t.id) && !savedQueue.includes(t.id))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(t => t.id);
+
+    this.queue = [...interrupted, ...savedQueue, ...orphaned];
+
+    // Wake the queue up again for retries that were waiting on their backoff
+    for (const transferId of this.queue) {
+      const { nextAttemptAt } = this.transfers.get(transferId);
+      if (nextAttemptAt && nextAttemptAt > Date.now()) {
+        this.scheduleQueueCheck(nextAttemptAt);
+      }
+    }
+    // Scans that were still pending when the backend stopped are requested again
+    for (const transfer of this.transfers.values()) {
+      if (transfer.status === 'completed' && ['pending', 'scanning'].includes(transfer.plexScan?.status)) {
+        const { destServer } = this.resolveServers(transfer);
+        if (destServer) {
+          this.requestLibraryScan(transfer, destServer);
+        }
+      }
+    }
+
+    this.queuePaused = Boolean(state.queuePaused);
+    if (options.queueStrategy) {
+      // Array.prototype.sort is stable, so the saved order is kept within a priority
+      this.queue.sort((a, b) => this.compareQueued(this.transfers.get(a), this.transfers.get(b)));
+    } else if (QUEUE_STRATEGIES.includes(state.queueStrategy)) {
+      this.queueStrategy = state.queueStrategy;
+    }
+
+    console.log(`[Transfer] Restored ${this.transfers.size} transfers (${this.queue.length} queued, ${interrupted.length} resumed)`);
+
+    this.persist();
+    this.processQueue();
+  }
+
+  /**
+   * Look up the configured source and destination servers of a transfer
+   * @param {Object} transfer - Transfer object
+   * @returns {Object} { sourceServer, destServer } (either may be undefined)
+   */
+  resolveServers(transfer) {
+    const servers = this.config?.servers || [];
+    return {
+      sourceServer: servers.find(s => s.id === transfer.sourceServerId),
+      destServer: servers.find(s => s.id === transfer.destServerId)
+    };
+  }
+
+  /**
+   * Schedule a write of the current transfer state to the journal
+   */
+  persist() {
+    transferStore.save(() => ({
+      version: 1,
+      savedAt: Date.now(),
+      transfers: Array.from(this.transfers.values()),
+      batches: Array.from(this.batches.values()),
+      queue: [...this.queue],
+      queuePaused: this.queuePaused,
+      queueStrategy: this.queueStrategy
+    }));
+  }
+
+  /**
+   * Write the transfer state to the journal immediately (used on shutdown)
+   */
+  flushState() {
+    this.persist();
+    transferStore.flush();
+  }
+
+  /**
+   * Create a new file transfer
+   * @param {Object} sourceServer - Source server configuration
+   * @param {Object} destServer - Destination server configuration
+   * @param {Array} files - Files or directories to transfer ({ path, name, size, addedAt, type }),
+   *   or Plex items ({ ratingKey, mediaId }) whose version is expanded into one transfer per part
+   * @param {Object} options - Transfer options
+   * @param {string} options.priority - Queue priority: 'high', 'normal' or 'low'
+   * @param {number} options.startAfter - Hold the transfers until this time (ms since epoch)
+   * @param {string} options.window - Only start the transfers inside this named transfer window
+   * @param {boolean} options.verify - Compare checksums after copying (default from transfer.verify.enabled)
+   * @param {string} options.name - Display name of the batch (default: the first filename)
+   * @param {string} options.mode - 'copy' (default) or 'move' to delete the source file afterwards
+   * @param {string} options.conflictPolicy - What to do if the destination file exists (default transfer.conflictPolicy)
+   * @param {string} options.rsyncProfile - rsync option profile (default: the pair's, then transfer.rsyncProfile)
+   * @returns {Promise<Object>} { batchId, transferIds, spaceCheck }
+   * @throws {Error} With error.spaceCheck set when the destination is short of space in 'reject' mode
+   */
+  async createTransfers(sourceServer, destServer, requestedFiles, options = {}) {
+    const entries = await this.resolveRequestedFiles(sourceServer, destServer, requestedFiles);
+    const files = entries.map(entry => entry.file);
+
+    const transferIds = [];
+    const deferred = Boolean(options.startAfter || options.window);
+    const batchId = uuidv4();
+
+    const spaceCheck = await this.checkRequestSpace(destServer, entries.map(entry => ({
+      destPath: entry.destPath,
+      size: entry.size
+    })));
+
+    // All transfers created by one request form a batch
+    this.batches.set(batchId, {
+      id: batchId,
+      name: options.name || (files.length === 1 ? files[0].name : `${files[0].name} and ${files.length - 1} more`),
+      sourceServerId: sourceServer.id,
+      destServerId: destServer.id,
+      transferIds,
+      createdAt: Date.now(),
+      startedAt: null
+    });
+
+    for (const { file, destPath, stats } of entries) {
+      const transferId = uuidv4();
+
+      const transfer = {
+        id: transferId,
+        batchId,
+        kind: stats ? 'directory' : 'file',
+        sourceServerId: sourceServer.id,
+        destServerId: destServer.id,
+        sourcePath: file.path,
+        destPath: destPath,
+        filename: file.name,
+        ratingKey: file.ratingKey || null,
+        mediaId: file.mediaId || null,
+        partId: file.partId || null,
+        size: stats ? stats.totalBytes : file.size,
+        fileCount: stats ? stats.fileCount : 1,
+        failedFiles: [], // { path, error } reported by rsync for the last run
+        sidecars: [], // { name, path, destPath, size, shared, status: pending|completed|failed, error }
+        addedAt: file.addedAt ? parseInt(file.addedAt, 10) : null, // Plex addedAt (seconds)
+        priority: options.priority || 'normal',
+        mode: options.mode || 'copy',
+        method: null, // push, pull or relay; taken from the server pair when the transfer starts
+        rsyncProfile: options.rsyncProfile || null, // Requested rsync profile; the pair's or the default one applies otherwise
+        conflictPolicy: options.conflictPolicy || this.config?.transfer?.conflictPolicy || 'skip',
+        conflict: null, // { policy, action: none|skip|overwrite|rename, existingSize, reason, resolvedAt }
+        skipReason: null,
+        sourceRemoval: null, // move mode: { status: removed|error, remainingDir, plexRefresh, removedAt, error }
+        attempts: [], // { attempt, startedAt, endedAt, outcome, error, exitCode }
+        autoRetries: 0,
+        nextAttemptAt: null,
+        scheduledFor: options.startAfter || null,
+        window: options.window || null,
+        // Checksums are compared per file, so directory transfers are not verified
+        verify: stats ? false : (options.verify ?? Boolean(this.config?.transfer?.verify?.enabled)),
+        verification: null, // { status: verified|mismatch|error, algorithm, sourceHash, destHash, verifiedAt, error }
+        plexScan: null, // { status: pending|scanning|requested|indexed|timeout|skipped|error, sectionId, sectionTitle, ratingKey, requestedAt, indexedAt, error }
+        status: deferred ? 'scheduled' : 'queued', // scheduled, queued, active, paused, completed, failed, cancelled, skipped
+        lastProgressAt: null, // Last progress or output of the running copy, checked by the stall watchdog
+        destWritten: false, // A copy has been started, so destPath may hold data written by this transfer
+        progress: {
+          percentage: 0,
+          transferred: 0,
+          totalBytes: stats ? stats.totalBytes : file.size,
+          bytesPerSecond: null,
+          etaSeconds: null,
+          speed: null,
+          eta: null
+        },
+        speedSamples: [], // { at, bytesPerSecond, transferred }, see SPEED_SAMPLE_INTERVAL_MS
+        rsyncStats: null, // --stats summary of the last rsync run of the main file or folder
+        error: null,
+        createdAt: Date.now(),
+        startedAt: null,
+        completedAt: null
+      };
+
+      this.transfers.set(transferId, transfer);
+      if (!deferred) {
+        this.enqueue(transferId);
+      }
+      transferIds.push(transferId);
+
+      // Emit transfer created event
+      this.emitTransferUpdate(transfer);
+    }
+
+    this.persist();
+    this.emitBatchUpdate(batchId);
+
+    // Process queue
+    this.releaseScheduledTransfers();
+    this.processQueue();
+
+    return { batchId, transferIds, spaceCheck };
+  }
+
+  /**
+   * Turn the files of a transfer request into transfer entries with their destination paths
+   * Plex selections are expanded to files and directories (type 'directory' as returned by
+   * GET /api/files) are measured, since they are copied recursively as one transfer.
+   * @param {Object} sourceServer - Source server configuration
+   * @param {Object} destServer - Destination server configuration
+   * @param {Array} requestedFiles - Files from the request
+   * @returns {Promise<Array>} [{ file, destPath, stats, size }], stats being { fileCount, totalBytes } for directories
+   */
+  async resolveRequestedFiles(sourceServer, destServer, requestedFiles) {
+    const files = await this.expandMediaSelections(sourceServer, requestedFiles);
+    if (files.length === 0) {
+      throw new Error('The selected items have no files to transfer');
+    }
+
+    const entries = [];
+    for (const file of files) {
+      const stats = file.type === 'directory' || file.isDirectory === true
+        ? await sshManager.getDirectoryStats(sourceServer, file.path)
+        : null;
+
+      entries.push({
+        file,
+        destPath: this.buildDestPath(file.path, sourceServer, destServer),
+        stats,
+        size: stats ? stats.totalBytes : (file.size || 0)
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Work out what a transfer request would do without queuing anything
+   * Conflicts are evaluated against the destination as it is now; the real transfers
+   * decide again when they start.
+   * @param {Object} sourceServer - Source server configuration
+   * @param {Object} destServer - Destination server configuration
+   * @param {Array} requestedFiles - Files from the request, as for createTransfers
+   * @param {Object} options - Transfer options, as for createTransfers
+   * @returns {Promise<Object>} { files, totalBytes, bytesToTransfer, destinations, spaceCheck: { ok, warning, error }, estimate }
+   */
+  async planTransfers(sourceServer, destServer, requestedFiles, options = {}) {
+    const entries = await this.resolveRequestedFiles(sourceServer, destServer, requestedFiles);
+    const conflictPolicy = options.conflictPolicy || this.config?.transfer?.conflictPolicy || 'skip';
+    const files = [];
+
+    for (const { file, destPath, stats, size } of entries) {
+      const planned = {
+        sourcePath: file.path,
+        destPath,
+        filename: file.name,
+        kind: stats ? 'directory' : 'file',
+        size,
+        fileCount: stats ? stats.fileCount : 1,
+        conflict: null,
+        sidecars: [],
+        bytesToTransfer: size
+      };
+
+      if (stats) {
+        // Folders are merged into an existing destination folder
+        if (await sshManager.pathExists(destServer, destPath)) {
+          planned.conflict = { policy: conflictPolicy, action: 'merge', existingSize: null, reason: 'Destination folder exists, files are merged into it' };
+        } else {
+          planned.conflict = { policy: conflictPolicy, action: 'none', existingSize: null, reason: null };
+        }
+      } else {
+        const outcome = await this.evaluateConflict(conflictPolicy, { sourcePath: file.path, destPath, size }, sourceServer, destServer);
+        planned.destPath = outcome.destPath;
+        planned.conflict = { policy: conflictPolicy, action: outcome.action, existingSize: outcome.existingSize, reason: outcome.reason };
+
+        if (outcome.action === 'skip') {
+          planned.bytesToTransfer = 0;
+        } else {
+          planned.sidecars = (await this.findSidecars({ sourcePath: file.path, destPath: planned.destPath }, sourceServer))
+            .map(({ name, path: sidecarPath, destPath: sidecarDestPath, size: sidecarSize }) => ({
+              name,
+              path: sidecarPath,
+              destPath: sidecarDestPath,
+              size: sidecarSize
+            }));
+          planned.bytesToTransfer += planned.sidecars.reduce((sum, sidecar) => sum + (sidecar.size || 0), 0);
+        }
+      }
+
+      files.push(planned);
+    }
+
+    const bytesToTransfer = files.reduce((sum, file) => sum + file.bytesToTransfer, 0);
+
+    // Bytes per destination filesystem, next to what is already queued for it
+    const queued = Array.from(this.transfers.values())
+      .filter(t => t.destServerId === destServer.id && PENDING_STATUSES.includes(t.status));
+    let spaceCheck;
+    try {
+      spaceCheck = await this.checkFreeSpace(destServer, queued, files.map(file => ({
+        destPath: file.destPath,
+        size: file.bytesToTransfer
+      })));
+      if (!spaceCheck.ok) {
+        spaceCheck.warning = `Not enough free space on ${destServer.name || destServer.id}: ${this.describeSpaceShortfall(spaceCheck)}`;
+      }
+    } catch (error) {
+      console.error(`[Transfer] Free space lookup on ${destServer.id} failed:`, error.message);
+      spaceCheck = { ok: true, mounts: [], error: error.message };
+    }
+
+    const throughput = this.getHistoricalThroughput(sourceServer.id, destServer.id);
+    let bytesPerSecond = throughput?.bytesPerSecond || null;
+
+    // A bandwidth cap in effect right now bounds the historical rate
+    const limitKBps = this.getBandwidthLimit(sourceServer.id, destServer.id);
+    if (limitKBps > 0) {
+      bytesPerSecond = Math.min(bytesPerSecond ?? Infinity, limitKBps * 1024);
+    }
+
+    return {
+      sourceServerId: sourceServer.id,
+      destServerId: destServer.id,
+      mode: options.mode || 'copy',
+      conflictPolicy,
+      method: this.getTransferMethod(sourceServer.id, destServer.id),
+      rsyncProfile: this.getRsyncProfileName(sourceServer.id, destServer.id, options.rsyncProfile),
+      files,
+      totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+      bytesToTransfer,
+      destinations: spaceCheck.mounts.map(({ mount, mediaPaths, availableBytes, totalBytes, requestedBytes, queuedBytes, shortfallBytes }) => ({
+        mount,
+        mediaPaths,
+        bytes: requestedBytes,
+        queuedBytes,
+        availableBytes,
+        totalBytes,
+        shortfallBytes
+      })),
+      spaceCheck: { ok: spaceCheck.ok, warning: spaceCheck.warning || null, error: spaceCheck.error || null },
+      estimate: {
+        bytesPerSecond: bytesPerSecond ? Math.round(bytesPerSecond) : null,
+        seconds: bytesPerSecond ? Math.round(bytesToTransfer / bytesPerSecond) : null,
+        basis: throughput ? throughput.basis : (bytesPerSecond ? 'bandwidth-limit' : null),
+        samples: throughput ? throughput.samples : 0,
+        bandwidthLimitKBps: limitKBps
+      }
+    };
+  }
+
+  /**
+   * Average throughput of the completed transfers still in memory
+   * Uses the server pair's own transfers if there are any, otherwise all completed transfers.
+   * The rate is per transfer, so it assumes the planned files are copied one at a time.
+   * @param {string} sourceServerId - Source server ID
+   * @param {string} destServerId - Destination server ID
+   * @returns {Object|null} { bytesPerSecond, samples, basis: 'pair'|'all' }, or null without history
+   */
+  getHistoricalThroughput(sourceServerId, destServerId) {
+    const samples = [];
+
+    for (const transfer of this.transfers.values()) {
+      const run = transfer.status === 'completed' &&
+        [...(transfer.attempts || [])].reverse().find(attempt => attempt.outcome === 'completed');
+
+      if (run && run.startedAt && run.endedAt > run.startedAt && transfer.size > 0) {
+        samples.push({
+          pair: transfer.sourceServerId === sourceServerId && transfer.destServerId === destServerId,
+          bytes: transfer.size,
+          ms: run.endedAt - run.startedAt
+        });
+      }
+    }
+
+    const pairSamples = samples.filter(sample => sample.pair);
+    const used = pairSamples.length > 0 ? pairSamples : samples;
+
+    if (used.length === 0) {
+      return null;
+    }
+
+    const bytes = used.reduce((sum, sample) => sum + sample.bytes, 0);
+    const ms = used.reduce((sum, sample) => sum + sample.ms, 0);
+
+    return {
+      bytesPerSecond: bytes / (ms / 1000),
+      samples: used.length,
+      basis: pairSamples.length > 0 ? 'pair' : 'all'
+    };
+  }
+
+  /**
+   * Replace Plex item selections in a transfer request with the files of the chosen version
+   * Entries with a path are passed through unchanged. For entries with a ratingKey,
+   * mediaId picks the version (default: the first one Plex lists) or 'all' for every version,
+   * and every part of the chosen versions becomes its own file entry.
+   * @param {Object} sourceServer - Source server configuration
+   * @param {Array} files - Requested files
+   * @returns {Promise<Array>} File entries with paths
+   */
+  async expandMediaSelections(sourceServer, files) {
+    const expanded = [];
+
+    for (const file of files) {
+      if (!file.ratingKey || file.path) {
+        expanded.push(file);
+        continue;
+      }
+
+      if (!sourceServer.plexUrl || !sourceServer.plexToken) {
+        throw new Error(`Source server ${sourceServer.id} has no Plex URL or token to look up ${file.ratingKey}`);
+      }
+
+      const item = await plexService.getItemMetadata(sourceServer.plexUrl, sourceServer.plexToken, file.ratingKey);
+      if (!item) {
+        throw new Error(`Plex item not found: ${file.ratingKey}`);
+      }
+
+      let versions;
+      if (file.mediaId === 'all') {
+        versions = item.media;
+      } else if (file.mediaId) {
+        versions = item.media.filter(media => String(media.id) === String(file.mediaId));
+        if (versions.length === 0) {
+          throw new Error(`Version ${file.mediaId} not found for ${item.title}`);
+        }
+      } else {
+        versions = item.media.slice(0, 1);
+      }
+
+      for (const media of versions) {
+        media.parts.filter(part => part.file).forEach((part, index) => {
+          expanded.push({
+            path: part.file,
+            name: media.parts.length > 1 ? `${file.name || item.title} (part ${index + 1})` : (file.name || item.title),
+            size: part.size || 0,
+            addedAt: item.addedAt,
+            ratingKey: item.id,
+            mediaId: media.id,
+            partId: part.id
+          });
+        });
+      }
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Get the available conflict policies
+   * @returns {Array<string>} Conflict policy names
+   */
+  getConflictPolicies() {
+    return [...CONFLICT_POLICIES];
+  }
+
+  /**
+   * Apply the transfer's conflict policy if the destination file already exists
+   * Runs once per transfer, before its first start: later runs find rsync's own
+   * partial file at the destination and must not treat it as a conflict.
+   * The outcome is stored in transfer.conflict; 'rename' changes transfer.destPath.
+   * @param {Object} transfer - Transfer object
+   * @param {Object} sourceServer - Source server configuration
+   * @param {Object} destServer - Destination server configuration
+   * @param {AbortSignal} signal - Abort signal of the run; nothing is stored once it fires
+   */
+  async resolveConflict(transfer, sourceServer, destServer, signal) {
+    const policy = transfer.conflictPolicy || 'skip';
+    const outcome = await this.evaluateConflict(policy, transfer, sourceServer, destServer);
+
+    if (signal?.aborted) {
+      return;
+    }
+
+    transfer.destPath = outcome.destPath;
+    transfer.conflict = {
+      policy,
+      action: outcome.action,
+      existingSize: outcome.existingSize,
+      reason: outcome.reason,
+      resolvedAt: Date.now()
+    };
+
+    if (outcome.action !== 'none') {
+      console.log(`[Transfer] Conflict for ${transfer.filename} (${policy}): ${outcome.action} - ${outcome.reason}`);
+    }
+    this.persist();
+  }
+
+  /**
+   * Decide what a conflict policy does with a file, without changing anything
+   * @param {string} policy - Conflict policy
+   * @param {Object} file - Transfer or { sourcePath, destPath, size }
+   * @param {Object} sourceServer - Source server configuration
+   * @param {Object} destServer - Destination server configuration
+   * @returns {Promise<Object>} { action: none|skip|overwrite|rename, reason, existingSize, destPath }
+   */
+  async evaluateConflict(policy, file, sourceServer, destServer) {
+    const outcome = (action, reason, existingSize = null, destPath = file.destPath) => ({ action, reason, existingSize, destPath });
+
+    if (!(await sshManager.pathExists(destServer, file.destPath))) {
+      return outcome('none', null);
+    }
+
+    const existing = await sshManager.getFileInfo(destServer, file.destPath);
+
+    switch (policy) {
+      case 'overwrite':
+        return outcome('overwrite', 'Destination file exists and is overwritten', existing.size);
+
+      case 'rename': {
+        const ext = path.posix.extname(file.destPath);
+        const base = file.destPath.slice(0, file.destPath.length - ext.length);
+        for (let n = 1; n <= 100; n++) {
+          const destPath = `${base} (${n})${ext}`;
+          if (!(await sshManager.pathExists(destServer, destPath))) {
+            return outcome('rename', `Destination file exists, saving as ${path.posix.basename(destPath)}`, existing.size, destPath);
+          }
+        }
+        throw new Error(`No free name found next to ${file.destPath}`);
+      }
+
+      case 'keep-larger':
+        if (existing.size >= (file.size || 0)) {
+          return outcome('skip', `Destination file is not smaller (${existing.size} >= ${file.size} bytes)`, existing.size);
+        }
+        return outcome('overwrite', `Destination file is smaller (${existing.size} < ${file.size} bytes)`, existing.size);
+
+      case 'keep-higher-resolution': {
+        const [sourceResolution, destResolution] = await Promise.all([
+          sshManager.getVideoResolution(sourceServer, file.sourcePath),
+          sshManager.getVideoResolution(destServer, file.destPath)
+        ]);
+
+        if (!sourceResolution || !destResolution) {
+          // Without ffprobe on both sides fall back to comparing sizes
+          const larger = (file.size || 0) > existing.size;
+          return outcome(
+            larger ? 'overwrite' : 'skip',
+            `Resolution unavailable (ffprobe missing or failed), ${larger ? 'source' : 'destination'} file is larger`,
+            existing.size
+          );
+        }
+
+        const describe = (r) => `${r.width}x${r.height}`;
+        if (sourceResolution.width * sourceResolution.height > destResolution.width * destResolution.height) {
+          return outcome('overwrite', `Source resolution ${describe(sourceResolution)} beats ${describe(destResolution)}`, existing.size);
+        }
+        return outcome('skip', `Destination resolution ${describe(destResolution)} is not lower than ${describe(sourceResolution)}`, existing.size);
+      }
+
+      default:
+        return outcome('skip', 'Destination file already exists', existing.size);
+    }
+  }
+
+  /**
+   * Get the free space check settings, merging transfer.spaceCheck from the config over the defaults
+   * @returns {Object} Space check settings
+   */
+  getSpaceCheckConfig() {
+    return { ...DEFAULT_SPACE_CHECK, ...this.config?.transfer?.spaceCheck };
+  }
+
+  /**
+   * Bytes a transfer still has to write to its destination
+   * @param {Object} transfer - Transfer object or { size }
+   * @returns {number} Remaining bytes
+   */
+  getRemainingBytes(transfer) {
+    return Math.max(0, (transfer.size || 0) - (transfer.progress?.transferred || 0));
+  }
+
+  /**
+   * Add the transfer's current rate to its speed history, at most once per sample interval
+   * @param {Object} transfer - Transfer object
+   */
+  recordSpeedSample(transfer) {
+    const { bytesPerSecond, transferred } = transfer.progress;
+    if (typeof bytesPerSecond !== 'number') {
+      return;
+    }
+
+    // Transfers restored from older journals have no history yet
+    transfer.speedSamples = transfer.speedSamples || [];
+    const last = transfer.speedSamples[transfer.speedSamples.length - 1];
+    const now = Date.now();
+    if (last && now - last.at < SPEED_SAMPLE_INTERVAL_MS) {
+      return;
+    }
+
+    transfer.speedSamples.push({ at: now, bytesPerSecond, transferred });
+    if (transfer.speedSamples.length > SPEED_SAMPLE_LIMIT) {
+      transfer.speedSamples.splice(0, transfer.speedSamples.length - SPEED_SAMPLE_LIMIT);
+    }
+  }
+
+  /**
+   * Current rate of an active transfer, smoothed over its recent speed samples
+   * @param {Object} transfer - Transfer object
+   * @returns {number} Bytes per second (0 if unknown)
+   */
+  getCurrentSpeed(transfer) {
+    const since = Date.now() - SPEED_AVERAGE_WINDOW_MS;
+    const recent = (transfer.speedSamples || []).filter(sample => sample.at >= since);
+
+    if (recent.length === 0) {
+      return transfer.progress?.bytesPerSecond || 0;
+    }
+
+    return recent.reduce((sum, sample) => sum + sample.bytesPerSecond, 0) / recent.length;
+  }
+
+  /**
+   * Estimate how long the queue needs to finish the active and queued transfers
+   * While transfers are running their combined current rate is used; otherwise the average
+   * throughput of past transfers, times the number of transfers that may run at once.
+   * Scheduled and paused transfers are left out because they don't run on their own.
+   * @returns {Object} { remainingBytes, bytesPerSecond, etaSeconds, basis: 'current'|'history'|null }
+   */
+  getQueueEstimate() {
+    const pending = Array.from(this.transfers.values()).filter(t => t.status === 'active' || t.status === 'queued');
+    const remainingBytes = pending.reduce((sum, transfer) => sum + this.getRemainingBytes(transfer), 0);
+    const active = pending.filter(t => t.status === 'active');
+
+    let bytesPerSecond = active.reduce((sum, transfer) => sum + this.getCurrentSpeed(transfer), 0);
+    let basis = bytesPerSecond > 0 ? 'current' : null;
+
+    if (!basis && pending.length > 0) {
+      const throughput = this.getHistoricalThroughput(null, null);
+      if (throughput) {
+        bytesPerSecond = throughput.bytesPerSecond * Math.min(this.maxConcurrent, pending.length);
+        basis = 'history';
+      }
+    }
+
+    return {
+      remainingBytes,
+      bytesPerSecond: basis ? Math.round(bytesPerSecond) : null,
+      etaSeconds: basis ? Math.round(remainingBytes / bytesPerSecond) : null,
+      basis
+    };
+  }
+
+  /**
+   * Compare the bytes headed for each destination filesystem with its free space
+   * @param {Object} destServer - Destination server configuration
+   * @param {Array} existing - Transfers already counted against the destination
+   * @param {Array} requested - Transfers (or { destPath, size }) being checked
+   * @returns {Promise<Object>} { ok, mounts: [{ mount, mediaPaths, availableBytes, totalBytes,
+   *   queuedBytes, requestedBytes, reserveBytes, shortfallBytes }] }
+   */
+  async checkFreeSpace(destServer, existing, requested) {
+    const { reserveBytes } = this.getSpaceCheckConfig();
+    const rootOf = (transfer) => this.getMediaRoot(destServer, transfer.destPath) || path.posix.dirname(transfer.destPath);
+
+    const entries = [
+      ...existing.map(transfer => ({ transfer, requested: false })),
+      ...requested.map(transfer => ({ transfer, requested: true }))
+    ];
+    const roots = [...new Set(entries.map(({ transfer }) => rootOf(transfer)))];
+    const spaces = await sshManager.getFreeSpace(destServer, roots);
+
+    // Several media paths can live on the same filesystem
+    const mounts = new Map();
+    for (const space of spaces) {
+      if (!mounts.has(space.mount)) {
+        mounts.set(space.mount, {
+          mount: space.mount,
+          mediaPaths: [],
+          availableBytes: space.availableBytes,
+          totalBytes: space.totalBytes,
+          queuedBytes: 0,
+          requestedBytes: 0,
+          reserveBytes,
+          shortfallBytes: 0
+        });
+      }
+      mounts.get(space.mount).mediaPaths.push(space.path);
+    }
+
+    for (const { transfer, requested: isRequested } of entries) {
+      const { mount } = spaces.find(space => space.path === rootOf(transfer));
+      const entry = mounts.get(mount);
+      if (isRequested) {
+        entry.requestedBytes += this.getRemainingBytes(transfer);
+      } else {
+        entry.queuedBytes += this.getRemainingBytes(transfer);
+      }
+    }
+
+    for (const entry of mounts.values()) {
+      const requiredBytes = entry.queuedBytes + entry.requestedBytes + entry.reserveBytes;
+      entry.shortfallBytes = entry.requestedBytes > 0 ? Math.max(0, requiredBytes - entry.availableBytes) : 0;
+    }
+
+    const result = Array.from(mounts.values());
+    return { ok: result.every(entry => entry.shortfallBytes === 0), mounts: result };
+  }
+
+  /**
+   * Describe the filesystems that are short of space
+   * @param {Object} spaceCheck - Result of checkFreeSpace
+   * @returns {string} Human readable summary
+   */
+  describeSpaceShortfall(spaceCheck) {
+    return spaceCheck.mounts
+      .filter(entry => entry.shortfallBytes > 0)
+      .map(entry =>
+        `${entry.mount} needs ${formatBytes(entry.queuedBytes + entry.requestedBytes + entry.reserveBytes)} ` +
+        `(${formatBytes(entry.queuedBytes)} queued + ${formatBytes(entry.requestedBytes)} requested + ` +
+        `${formatBytes(entry.reserveBytes)} reserve) but has ${formatBytes(entry.availableBytes)} free`
+      )
+      .join('; ');
+  }
+
+  /**
+   * Check that a transfer request fits on the destination next to everything already queued for it
+   * @param {Object} destServer - Destination server configuration
+   * @param {Array} requested - New transfers as { destPath, size }
+   * @returns {Promise<Object|null>} Space check result, or null when the check is disabled
+   */
+  async checkRequestSpace(destServer, requested) {
+    const { enabled, mode } = this.getSpaceCheckConfig();
+
+    if (!enabled) {
+      return null;
+    }
+
+    const queued = Array.from(this.transfers.values())
+      .filter(t => t.destServerId === destServer.id && PENDING_STATUSES.includes(t.status));
+
+    let spaceCheck;
+    try {
+      spaceCheck = await this.checkFreeSpace(destServer, queued, requested);
+    } catch (error) {
+      // Don't block transfers because df could not be run
+      console.error(`[Transfer] Free space check on ${destServer.id} failed:`, error.message);
+      return { ok: true, mounts: [], error: error.message };
+    }
+
+    if (!spaceCheck.ok) {
+      const message = `Not enough free space on ${destServer.name || destServer.id}: ${this.describeSpaceShortfall(spaceCheck)}`;
+
+      if (mode === 'reject') {
+        const error = new Error(message);
+        error.spaceCheck = spaceCheck;
+        throw error;
+      }
+
+      console.log(`[Transfer] ${message}`);
+      spaceCheck.warning = message;
+    }
+
+    return spaceCheck;
+  }
+
+  /**
+   * Re-check free space right before a transfer starts
+   * Only transfers that are running at the same time are counted, since queued ones
+   * may still be cancelled. In 'reject' mode a shortfall fails the transfer.
+   * @param {Object} transfer - Transfer about to start
+   * @param {Object} destServer - Destination server configuration
+   */
+  async checkStartSpace(transfer, destServer) {
+    const { enabled, mode } = this.getSpaceCheckConfig();
+
+    if (!enabled) {
+      return;
+    }
+
+    const running = Array.from(this.transfers.values())
+      .filter(t => t.id !== transfer.id && t.destServerId === destServer.id && ['active', 'verifying'].includes(t.status));
+
+    let spaceCheck;
+    try {
+      spaceCheck = await this.checkFreeSpace(destServer, running, [transfer]);
+    } catch (error) {
+      console.error(`[Transfer] Free space check for ${transfer.id} failed:`, error.message);
+      return;
+    }
+
+    if (!spaceCheck.ok) {
+      const message = `Not enough free space: ${this.describeSpaceShortfall(spaceCheck)}`;
+      if (mode === 'reject') {
+        throw new Error(message);
+      }
+      console.log(`[Transfer] ${transfer.filename}: ${message}`);
+    }
+  }
+
+  /**
+   * Build the destination path of a file
+   * Applies the server pair's path rules (transfer.pairs["src->dest"].pathRules) before
+   * falling back to mapping between the servers' media paths.
+   * @param {string} sourcePath - Source file path
+   * @param {Object} sourceServer - Source server configuration
+   * @param {Object} destServer - Destination server configuration
+   * @returns {string} Destination path
+   */
+  buildDestPath(sourcePath, sourceServer, destServer) {
+    return pathMapper.mapPath(sourcePath, sourceServer, destServer, this.getPathRules(sourceServer.id, destServer.id)).destPath;
+  }
+
+  /**
+   * Get the path mapping rules of a server pair
+   * @param {string} sourceServerId - Source server ID
+   * @param {string} destServerId - Destination server ID
+   * @returns {Array} Ordered mapping rules (empty if none configured)
+   */
+  getPathRules(sourceServerId, destServerId) {
+    return this.getPairConfig(sourceServerId, destServerId).pathRules || [];
+  }
+
+  /**
+   * Compare two transfers for queue order: priority first, then the queue strategy
+   * @param {Object} a - Transfer object
+   * @param {Object} b - Transfer object
+   * @returns {number} Negative if a should start before b
+   */
+  compareQueued(a, b) {
+    const rankA = PRIORITY_RANKS[a.priority] ?? PRIORITY_RANKS.normal;
+    const rankB = PRIORITY_RANKS[b.priority] ?? PRIORITY_RANKS.normal;
+
+    if (rankA !== rankB) {
+      return rankA - rankB;
+    }
+
+    switch (this.queueStrategy) {
+      case 'smallest-first':
+        return (a.size || 0) - (b.size || 0);
+      case 'largest-first':
+        return (b.size || 0) - (a.size || 0);
+      case 'oldest-added-first':
+        return (a.addedAt ?? Infinity) - (b.addedAt ?? Infinity);
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Insert a transfer into the queue behind everything that should start before it
+   * @param {string} transferId - Transfer ID
+   */
+  enqueue(transferId) {
+    const transfer = this.transfers.get(transferId);
+    const index = this.queue.findIndex(id => this.compareQueued(transfer, this.transfers.get(id)) < 0);
+
+    if (index === -1) {
+      this.queue.push(transferId);
+    } else {
+      this.queue.splice(index, 0, transferId);
+    }
+  }
+
+  /**
+   * Change the queue ordering strategy and re-sort the queue
+   * @param {string} strategy - One of QUEUE_STRATEGIES
+   */
+  setQueueStrategy(strategy) {
+    if (!QUEUE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown queue strategy: ${strategy}`);
+    }
+
+    this.queueStrategy = strategy;
+
+    // Array.prototype.sort is stable, so FIFO keeps manual reordering within a priority
+    this.queue.sort((a, b) => this.compareQueued(this.transfers.get(a), this.transfers.get(b)));
+
+    this.persist();
+    this.emitQueueUpdate();
+    this.processQueue();
+  }
+
+  /**
+   * Move a queued transfer to a new position in the queue
+   * @param {string} transferId - Transfer ID
+   * @param {string|number} position - 'top', 'bottom' or a zero-based index
+   * @returns {boolean} Success status
+   */
+  moveTransfer(transferId, position) {
+    const transfer = this.transfers.get(transferId);
+
+    if (!transfer) {
+      throw new Error('Transfer not found');
+    }
+
+    const currentIndex = this.queue.indexOf(transferId);
+    if (transfer.status !== 'queued' || currentIndex === -1) {
+      return false;
+    }
+
+    this.queue.splice(currentIndex, 1);
+
+    let index;
+    if (position === 'top') {
+      index = 0;
+    } else if (position === 'bottom') {
+      index = this.queue.length;
+    } else {
+      index = Math.max(0, Math.min(parseInt(position, 10), this.queue.length));
+    }
+
+    this.queue.splice(index, 0, transferId);
+
+    this.persist();
+    this.emitQueueUpdate();
+    this.processQueue();
+    return true;
+  }
+
+  /**
+   * Get the transfer settings of a server pair from transfer.pairs ("sourceId->destId")
+   * @param {string} sourceServerId - Source server ID
+   * @param {string} destServerId - Destination server ID
+   * @returns {Object} Pair settings (empty object if none configured)
+   */
+  getPairConfig(sourceServerId, destServerId) {
+    return this.config?.transfer?.pairs?.[`${sourceServerId}->${destServerId}`] || {};
+  }
+
+  /**
+   * Get the transfer method of a server pair
+   * @param {string} sourceServerId - Source server ID
+   * @param {string} destServerId - Destination server ID
+   * @returns {string} 'push' (default), 'pull' or 'relay'
+   */
+  getTransferMethod(sourceServerId, destServerId) {
+    return this.getPairConfig(sourceServerId, destServerId).method || 'push';
+  }
+
+  /**
+   * Get the available transfer methods
+   * @returns {Array<string>} Transfer method names
+   */
+  getTransferMethods() {
+    return [...TRANSFER_METHODS];
+  }
+
+  /**
+   * Get the rsync option profiles: the built-in ones, transfer.rsyncOptions as "default"
+   * if set, and transfer.rsyncProfiles on top
+   * @returns {Object} Profile options by name
+   */
+  getRsyncProfiles() {
+    const transferConfig = this.config?.transfer || {};
+    return {
+      ...DEFAULT_RSYNC_PROFILES,
+      ...(transferConfig.rsyncOptions ? { default: transferConfig.rsyncOptions } : {}),
+      ...(transferConfig.rsyncProfiles || {})
+    };
+  }
+
+  /**
+   * Pick the rsync profile of a transfer
+   * A profile named in the request wins over the pair's rsyncProfile, then transfer.rsyncProfile.
+   * @param {string} sourceServerId - Source server ID
+   * @param {string} destServerId - Destination server ID
+   * @param {string} requested - Profile named in the transfer request (optional)
+   * @returns {string} Profile name
+   */
+  getRsyncProfileName(sourceServerId, destServerId, requested) {
+    return requested
+      || this.getPairConfig(sourceServerId, destServerId).rsyncProfile
+      || this.config?.transfer?.rsyncProfile
+      || 'default';
+  }
+
+  /**
+   * Get the checked rsync options of a profile
+   * @param {string} name - Profile name
+   * @returns {Array<string>} rsync options
+   * @throws {Error} If the profile doesn't exist or has options that aren't allowed
+   */
+  getRsyncArgs(name) {
+    const profiles = this.getRsyncProfiles();
+    if (!Object.hasOwn(profiles, name)) {
+      throw new Error(`Unknown rsync profile: ${name}`);
+    }
+
+    try {
+      return parseRsyncOptions(profiles[name]);
+    } catch (error) {
+      throw new Error(`rsync profile "${name}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop the process behind a running copy
+   * Relay copies run inside the backend and are aborted directly; rsync is killed by PID.
+   * @param {Object} processHandle - Handle passed to onStart
+   */
+  async stopProcess(processHandle) {
+    if (processHandle.abort) {
+      processHandle.abort();
+      return;
+    }
+
+    await sshManager.cancelTransfer(processHandle.server, processHandle.pid);
+  }
+
+  /**
+   * Get the transfer settings of a destination server from transfer.destinations
+   * @param {string} destServerId - Destination server ID
+   * @returns {Object} Destination settings (empty object if none configured)
+   */
+  getDestinationConfig(destServerId) {
+    return this.config?.transfer?.destinations?.[destServerId] || {};
+  }
+
+  /**
+   * Get the bandwidth limit for a transfer starting now
+   * The link-wide limit (from a matching transfer.bandwidth.schedule entry, otherwise
+   * transfer.bandwidth.limitKBps) and the pair's bandwidthLimitKBps are each split across
+   * the transfers that may run under them, so concurrent transfers stay within the caps.
+   * @param {string} sourceServerId - Source server ID
+   * @param {string} destServerId - Destination server ID
+   * @param {Date} date - Time to evaluate the schedule at (default: now)
+   * @returns {number} Limit in KB/s, 0 for unlimited
+   */
+  getBandwidthLimit(sourceServerId, destServerId, date = new Date()) {
+    const { linkLimitKBps } = this.getBandwidthStatus(date);
+    const pairConfig = this.getPairConfig(sourceServerId, destServerId);
+    const limits = [];
+
+    if (linkLimitKBps > 0) {
+      limits.push(linkLimitKBps / this.maxConcurrent);
+    }
+    if (pairConfig.bandwidthLimitKBps > 0) {
+      limits.push(pairConfig.bandwidthLimitKBps / (pairConfig.maxConcurrent || this.maxConcurrent));
+    }
+
+    return limits.length > 0 ? Math.max(1, Math.floor(Math.min(...limits))) : 0;
+  }
+
+  /**
+   * Get the link-wide bandwidth limit currently in effect
+   * @param {Date} date - Time to evaluate the schedule at (default: now)
+   * @returns {Object} { linkLimitKBps, scheduleEntry }
+   */
+  getBandwidthStatus(date = new Date()) {
+    const bandwidth = this.config?.transfer?.bandwidth || {};
+    const scheduleEntry = findActiveWindow(bandwidth.schedule, date);
+
+    return {
+      linkLimitKBps: (scheduleEntry ? scheduleEntry.limitKBps : bandwidth.limitKBps) || 0,
+      scheduleEntry
+    };
+  }
+
+  /**
+   * Check the per-destination and per-pair concurrency limits for a transfer
+   * @param {Object} transfer - Transfer object
+   * @returns {boolean} True if the transfer may start now
+   */
+  hasCapacity(transfer) {
+    const active = Array.from(this.activeTransfers).map(id => this.transfers.get(id)).filter(Boolean);
+
+    const destLimit = this.getDestinationConfig(transfer.destServerId).maxConcurrent;
+    if (destLimit && active.filter(t => t.destServerId === transfer.destServerId).length >= destLimit) {
+      return false;
+    }
+
+    const pairLimit = this.getPairConfig(transfer.sourceServerId, transfer.destServerId).maxConcurrent;
+    if (pairLimit && active.filter(t =>
+      t.sourceServerId === transfer.sourceServerId && t.destServerId === transfer.destServerId
+    ).length >= pairLimit) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Process the transfer queue
+   * Each transfer resolves its own servers; transfers blocked by a destination or
+   * pair limit are skipped so they don't hold up transfers for other servers.
+   */
+  processQueue() {
+    if (this.queuePaused || this.isQuietTime()) {
+      return;
+    }
+
+    let changed = false;
+
+    // Start transfers up to max concurrent limit
+    for (const transferId of [...this.queue]) {
+      if (this.activeTransfers.size >= this.maxConcurrent) {
+        break;
+      }
+
+      const transfer = this.transfers.get(transferId);
+
+      if (!transfer || transfer.status !== 'queued') {
+        this.queue.splice(this.queue.indexOf(transferId), 1);
+        changed = true;
+        continue;
+      }
+
+      // Waiting for its retry backoff to expire or outside its transfer window
+      if ((transfer.nextAttemptAt && transfer.nextAttemptAt > Date.now()) || !this.isEligibleToStart(transfer)) {
+        continue;
+      }
+
+      const { sourceServer, destServer } = this.resolveServers(transfer);
+
+      if (!sourceServer || !destServer) {
+        this.queue.splice(this.queue.indexOf(transferId), 1);
+        transfer.status = 'failed';
+        transfer.error = 'Server is no longer configured';
+        transfer.completedAt = Date.now();
+        changed = true;
+        this.emitTransferError(transfer);
+        continue;
+      }
+
+      if (!this.hasCapacity(transfer)) {
+        continue;
+      }
+
+      this.queue.splice(this.queue.indexOf(transferId), 1);
+      this.activeTransfers.add(transferId);
+      this.runs.set(transferId, this.startTransfer(transferId, sourceServer, destServer));
+    }
+
+    if (changed) {
+      this.persist();
+    }
+  }
+
+  /**
+   * Start a single file transfer
+   * @param {string} transferId - Transfer ID
+   * @param {Object} sourceServer - Source server configuration
+   * @param {Object} destServer - Destination server configuration
+   */
+  async startTransfer(transferId, sourceServer, destServer) {
+    const transfer = this.transfers.get(transferId);
+
+    if (!transfer) {
+      return;
+    }
+
+    transfer.status = 'active';
+    transfer.startedAt = Date.now();
+    transfer.lastProgressAt = transfer.startedAt;
+    transfer.nextAttemptAt = null;
+    transfer.failedFiles = [];
+
+    const batch = this.batches.get(transfer.batchId);
+    if (batch && !batch.startedAt) {
+      batch.startedAt = transfer.startedAt;
+    }
+
+    this.persist();
+    this.emitTransferUpdate(transfer);
+
+    // Lets a cancel, pause or stall stop settle the run while a step can't be killed
+    const abort = new AbortController();
+    const { signal } = abort;
+    this.runAborts.set(transferId, abort);
+
+    try {
+      if (transfer.kind !== 'directory' && !transfer.conflict) {
+        await untilAborted(this.resolveConflict(transfer, sourceServer, destServer, signal), signal);
+      }
+
+      if (transfer.conflict?.action === 'skip') {
+        transfer.status = 'skipped';
+        transfer.skipReason = transfer.conflict.reason;
+        transfer.completedAt = Date.now();
+        this.recordAttempt(transfer, 'skipped');
+        console.log(`[Transfer] Skipped transfer ${transferId}: ${transfer.filename} (${transfer.skipReason})`);
+        this.emitTransferUpdate(transfer);
+        return;
+      }
+
+      await untilAborted(this.checkStartSpace(transfer, destServer), signal);
+      transfer.bandwidthLimitKBps = this.getBandwidthLimit(transfer.sourceServerId, transfer.destServerId);
+      transfer.method = this.getTransferMethod(transfer.sourceServerId, transfer.destServerId);
+      const rsyncArgs = this.getRsyncArgs(this.getRsyncProfileName(transfer.sourceServerId, transfer.destServerId, transfer.rsyncProfile));
+
+      console.log(`[Transfer] Starting transfer ${transferId} (${transfer.method}): ${transfer.filename}`);
+      this.appendLog(transfer, 'info', `Attempt ${(transfer.attempts?.length || 0) + 1}: ${transfer.method} copy with rsync options ${rsyncArgs.join(' ')}`);
+      const onLog = (stream, text) => {
+        if (signal.aborted) {
+          return;
+        }
+        transfer.lastProgressAt = Date.now();
+        this.appendLog(transfer, stream, text);
+      };
+
+      // Progress callback for rsync
+      let progressPersistedAt = Date.now();
+      const progressCallback = (progress) => {
+        if (signal.aborted) {
+          return;
+        }
+        transfer.progress = {
+          percentage: progress.percentage,
+          transferred: progress.transferred,
+          totalBytes: progress.totalBytes ?? transfer.size,
+          bytesPerSecond: progress.bytesPerSecond ?? null,
+          etaSeconds: progress.etaSeconds ?? null,
+          speed: progress.speed,
+          eta: progress.eta,
+          filesDone: progress.filesDone ?? transfer.progress?.filesDone,
+          filesTotal: progress.filesTotal ?? transfer.progress?.filesTotal
+        };
+        transfer.lastProgressAt = Date.now();
+        this.recordSpeedSample(transfer);
+        if (transfer.lastProgressAt - progressPersistedAt >= PROGRESS_PERSIST_INTERVAL_MS) {
+          progressPersistedAt = transfer.lastProgressAt;
+          this.persist();
+        }
+        this.emitTransferProgress(transfer);
+      };
+
+      const onStart = (processHandle) => {
+        transfer.destWritten = true;
+
+        // Stopped before the process reported its PID, or the run was given up on meanwhile
+        if (transfer.abortRequested || signal.aborted) {
+          this.stopProcess(processHandle).catch(error => {
+            console.error(`[Transfer] Failed to stop transfer ${transferId}:`, error.message);
+          });
+        }
+
+        if (!signal.aborted) {
+          this.processes.set(transferId, processHandle);
+        }
+      };
+
+      // Start the copy with the pair's transfer method
+      const copy = sshManager.runTransfer(
+        sourceServer,
+        destServer,
+        transfer.sourcePath,
+        transfer.destPath,
+        progressCallback,
+        {
+          bwLimit: transfer.bandwidthLimitKBps,
+          directory: transfer.kind === 'directory',
+          method: transfer.method,
+          rsyncArgs,
+          onStart,
+          onLog
+        }
+      ).finally(() => {
+        // The PID may be reused once rsync has exited, so a later cancel must not kill it
+        if (!signal.aborted) {
+          this.processes.delete(transferId);
+        }
+      });
+
+      try {
+        const result = await untilAborted(copy, signal);
+        transfer.rsyncStats = result.stats || null;
+      } catch (error) {
+        transfer.rsyncStats = error.stats || null;
+        throw error;
+      }
+
+      if (transfer.kind !== 'directory') {
+        await untilAborted(this.transferSidecars(transfer, sourceServer, destServer, onStart, rsyncArgs, onLog, signal), signal);
+      }
+
+      if (transfer.verify) {
+        await untilAborted(this.verifyTransfer(transfer, sourceServer, destServer, signal), signal);
+      }
+
+      // Source removal is not interrupted, so a stop that came in before it has to be honoured here
+      if (signal.aborted) {
+        throw signal.reason;
+      }
+
+      if (transfer.mode === 'move') {
+        // A copy that could not be checked may be bad, so the source is kept
+        if (transfer.verify && transfer.verification?.status !== 'verified') {
+          throw new Error(`Source kept: the copy could not be verified (${transfer.verification?.error || 'no checksum result'})`);
+        }
+
+        await this.removeMovedSource(transfer, sourceServer);
+      }
+
+      // Transfer completed successfully; a stall stop that came too late no longer applies
+      transfer.status = 'completed';
+      transfer.abortRequested = null;
+      transfer.error = null;
+      transfer.completedAt = Date.now();
+      transfer.progress.percentage = 100;
+      transfer.progress.etaSeconds = 0;
+      if (transfer.progress.filesTotal !== undefined) {
+        transfer.progress.filesDone = transfer.progress.filesTotal;
+      }
+      this.recordAttempt(transfer, 'completed');
+
+      console.log(`[Transfer] Completed transfer ${transferId}: ${transfer.filename}`);
+      this.emitTransferComplete(transfer);
+      this.requestLibraryScan(transfer, destServer);
+
+    } catch (error) {
+      if (transfer.abortRequested === 'cancel') {
+        // rsync exited because it was killed
+        this.recordAttempt(transfer, 'cancelled');
+        await this.finishCancellation(transfer, destServer);
+      } else if (transfer.abortRequested === 'pause') {
+        // Keep the partial file so rsync can pick up where it left off
+        this.recordAttempt(transfer, 'paused');
+        transfer.status = 'paused';
+        transfer.abortRequested = null;
+
+        console.log(`[Transfer] Paused transfer ${transferId}: ${transfer.filename}`);
+        this.emitTransferUpdate(transfer);
+      } else if (transfer.abortRequested === 'stall') {
+        // Stopped by the watchdog: retried like any transient failure
+        const stallError = new Error(`Stalled: no progress for ${Math.round(this.getStallTimeoutMs() / 1000)}s`);
+        stallError.retryable = true;
+        transfer.abortRequested = null;
+        this.recordAttempt(transfer, 'stalled', stallError);
+        transfer.error = stallError.message;
+        transfer.failedFiles = [];
+
+        if (!this.scheduleRetry(transfer, stallError)) {
+          transfer.status = 'failed';
+          transfer.completedAt = Date.now();
+
+          console.error(`[Transfer] Failed stalled transfer ${transferId}: ${transfer.filename}`);
+          this.emitTransferError(transfer);
+        }
+      } else {
+        this.recordAttempt(transfer, 'failed', error);
+        transfer.error = error.message;
+        transfer.failedFiles = error.failedFiles || [];
+
+        if (!this.scheduleRetry(transfer, error)) {
+          // Transfer failed
+          transfer.status = 'failed';
+          transfer.completedAt = Date.now();
+
+          console.error(`[Transfer] Failed transfer ${transferId}:`, error.message);
+          this.emitTransferError(transfer);
+        }
+      }
+
+    } finally {
+      // Remove from active transfers
+      abort.abort(new Error('Transfer run finished'));
+      this.activeTransfers.delete(transferId);
+      this.processes.delete(transferId);
+      this.runs.delete(transferId);
+      this.runAborts.delete(transferId);
+      this.persist();
+
+      // Process next in queue
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Get the sidecar settings, merging transfer.sidecars from the config over the defaults
+   * @returns {Object} Sidecar settings
+   */
+  getSidecarConfig() {
+    return { ...DEFAULT_SIDECARS, ...this.config?.transfer?.sidecars };
+  }
+
+  /**
+   * Find the subtitles, NFOs and artwork next to a video on the source server
+   * @param {Object} transfer - Transfer object
+   * @param {Object} sourceServer - Source server configuration
+   * @returns {Promise<Array>} Sidecar entries for transfer.sidecars
+   */
+  async findSidecars(transfer, sourceServer) {
+    const { enabled, patterns } = this.getSidecarConfig();
+
+    if (!enabled || !patterns?.length) {
+      return [];
+    }
+
+    const folder = path.posix.dirname(transfer.sourcePath);
+    const videoName = path.posix.basename(transfer.sourcePath);
+    const basename = videoName.replace(/\.[^.]+$/, '');
+    const destBasename = path.posix.basename(transfer.destPath).replace(/\.[^.]+$/, '');
+    const matchers = patterns.map(pattern => ({
+      regex: sidecarPatternToRegExp(pattern, basename),
+      shared: !pattern.includes('{basename}')
+    }));
+
+    const files = await sshManager.getDirectoryFiles(sourceServer, folder);
+
+    return files
+      .filter(file => file.name !== videoName)
+      .map(file => ({ file, matcher: matchers.find(m => m.regex.test(file.name)) }))
+      .filter(({ matcher }) => matcher)
+      .map(({ file, matcher }) => {
+        // Follow the video if it is stored under a different name on the destination
+        const destName = !matcher.shared && file.name.startsWith(basename)
+          ? destBasename + file.name.slice(basename.length)
+          : file.name;
+
+        return {
+          name: file.name,
+          path: path.posix.join(folder, file.name),
+          destPath: path.posix.join(path.posix.dirname(transfer.destPath), destName),
+          size: file.size,
+          shared: matcher.shared,
+          status: 'pending',
+          error: null
+        };
+      });
+  }
+
+  /**
+   * Copy the sidecar files of a video after the video itself
+   * A sidecar that fails is listed in transfer.failedFiles but does not fail the transfer.
+   * @param {Object} transfer - Transfer object
+   * @param {Object} sourceServer - Source server configuration
+   * @param {Object} destServer - Destination server configuration
+   * @param {Function} onStart - Process handle callback, so cancel and pause reach the sidecar rsync
+   * @param {Array<string>} rsyncArgs - rsync options of the transfer's profile
+   * @param {Function} onLog - Log callback, so the sidecar copies show up in the transfer log
+   * @param {AbortSignal} signal - Abort signal of the run; no further sidecars are copied once it fires
+   */
+  async transferSidecars(transfer, sourceServer, destServer, onStart, rsyncArgs, onLog, signal) {
+    try {
+      transfer.sidecars = await this.findSidecars(transfer, sourceServer);
+    } catch (error) {
+      console.error(`[Transfer] Failed to look for sidecar files of ${transfer.filename}:`, error.message);
+      transfer.sidecars = [];
+      return;
+    }
+
+    if (transfer.sidecars.length === 0) {
+      return;
+    }
+
+    console.log(`[Transfer] Copying ${transfer.sidecars.length} sidecar file(s) for ${transfer.filename}`);
+    this.emitTransferUpdate(transfer);
+
+    for (const sidecar of transfer.sidecars) {
+      if (signal?.aborted) {
+        return;
+      }
+
+      try {
+        await sshManager.runTransfer(sourceServer, destServer, sidecar.path, sidecar.destPath, null, {
+          bwLimit: transfer.bandwidthLimitKBps,
+          method: transfer.method,
+          rsyncArgs,
+          onStart,
+          onLog
+        });
+        sidecar.status = 'completed';
+      } catch (error) {
+        if (transfer.abortRequested || signal?.aborted) {
+          throw error;
+        }
+        sidecar.status = 'failed';
+        sidecar.error = error.message;
+        transfer.failedFiles.push({ path: sidecar.path, error: error.message });
+      } finally {
+        if (!signal?.aborted) {
+          this.processes.delete(transfer.id);
+        }
+      }
+    }
+
+    this.persist();
+    this.emitTransferUpdate(transfer);
+  }
+
+  /**
+   * Compare checksums of the source and destination file after rsync finished
+   * A mismatch removes the destination file (rsync's size/mtime check would otherwise
+   * skip it) and throws a retryable error so the transfer is re-queued.
+   * @param {Object} transfer - Transfer object
+   * @param {Object} sourceServer - Source server configuration
+   * @param {Object} destServer - Destination server configuration
+   * @param {AbortSignal} signal - Abort signal of the run; kills the checksum commands and drops the result
+   */
+  async verifyTransfer(transfer, sourceServer, destServer, signal) {
+    transfer.status = 'verifying';
+    transfer.lastProgressAt = Date.now();
+    this.persist();
+    this.emitTransferUpdate(transfer);
+
+    try {
+      const algorithm = await this.selectChecksumAlgorithm(sourceServer, destServer);
+
+      console.log(`[Transfer] Verifying transfer ${transfer.id} with ${algorithm}: ${transfer.filename}`);
+
+      const [sourceHash, destHash] = await Promise.all([
+        sshManager.computeChecksum(sourceServer, transfer.sourcePath, algorithm, { signal }),
+        sshManager.computeChecksum(destServer, transfer.destPath, algorithm, { signal })
+      ]);
+
+      // Cancelled or paused while the checksums ran
+      if (signal?.aborted) {
+        return;
+      }
+
+      transfer.verification = {
+        status: sourceHash === destHash ? 'verified' : 'mismatch',
+        algorithm,
+        sourceHash,
+        destHash,
+        verifiedAt: Date.now(),
+        error: null
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        return;
+      }
+
+      // The copy itself succeeded, so a verification problem only fails moves (see startTransfer)
+      console.error(`[Transfer] Could not verify transfer ${transfer.id}:`, error.message);
+      transfer.verification = {
+        status: 'error',
+        algorithm: null,
+        sourceHash: null,
+        destHash: null,
+        verifiedAt: Date.now(),
+        error: error.message
+      };
+    }
+
+    this.emitTransferVerify(transfer);
+
+    if (transfer.verification.status === 'mismatch') {
+      console.error(`[Transfer] Checksum mismatch for transfer ${transfer.id}: ${transfer.filename}`);
+
+      await sshManager.removePartialFile(destServer, transfer.destPath);
+
+      const error = new Error(`Checksum mismatch (${transfer.verification.algorithm}) between source and destination`);
+      error.retryable = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Pick the checksum algorithm to verify with
+   * Uses transfer.verify.algorithm if set, otherwise the fastest one available on both servers.
+   * @param {Object} sourceServer - Source server configuration
+   * @param {Object} destServer - Destination server configuration
+   * @returns {Promise<string>} Algorithm name
+   */
+  async selectChecksumAlgorithm(sourceServer, destServer) {
+    const configured = this.config?.transfer?.verify?.algorithm;
+    const [sourceAlgorithms, destAlgorithms] = await Promise.all([
+      sshManager.getChecksumAlgorithms(sourceServer),
+      sshManager.getChecksumAlgorithms(destServer)
+    ]);
+
+    const common = sourceAlgorithms.filter(algorithm => destAlgorithms.includes(algorithm));
+
+    if (configured && configured !== 'auto') {
+      if (!common.includes(configured)) {
+        throw new Error(`${configured} checksums are not available on both servers`);
+      }
+      return configured;
+    }
+
+    if (common.length === 0) {
+      throw new Error('No checksum tool (xxh128sum, xxh64sum, sha256sum) is available on both servers');
+    }
+
+    return common[0];
+  }
+
+  /**
+   * Find the configured media folder a file lives in
+   * @param {Object} server - Server configuration
+   * @param {string} filePath - File path on the server
+   * @returns {string|null} The most specific media path containing the file
+   */
+  getMediaRoot(server, filePath) {
+    const roots = Object.values(server.mediaPaths || {})
+      .filter(root => root && filePath.startsWith(`${root.replace(/\/+$/, '')}/`))
+      .sort((a, b) => b.length - a.length);
+
+    return roots[0] || null;
+  }
+
+  /**
+   * Delete the copied sidecars of a moved video from the source
+   * Folder-level files such as poster.jpg are only removed when nothing but
+   * other copied folder-level files would be left next to the video.
+   * @param {Object} transfer - Transfer object
+   * @param {Object} sourceServer - Source server configuration
+   */
+  async removeMovedSidecars(transfer, sourceServer) {
+    const copied = (transfer.sidecars || []).filter(sidecar => sidecar.status === 'completed');
+
+    if (copied.length === 0) {
+      return;
+    }
+
+    for (const sidecar of copied.filter(s => !s.shared)) {
+      await sshManager.removeSourceFile(sourceServer, sidecar.path, null);
+    }
+
+    const shared = copied.filter(s => s.shared);
+    if (shared.length > 0) {
+      const videoName = path.posix.basename(transfer.sourcePath);
+      const remaining = await sshManager.getDirectoryFiles(sourceServer, path.posix.dirname(transfer.sourcePath));
+      const onlyShared = remaining
+        .filter(file => file.name !== videoName)
+        .every(file => shared.some(s => s.name === file.name));
+
+      if (onlyShared) {
+        for (const sidecar of shared) {
+          await sshManager.removeSourceFile(sourceServer, sidecar.path, null);
+        }
+      }
+    }
+  }
+
+  /**
+   * Delete the source file of a moved transfer and refresh the source Plex library
+   * A failure here is recorded on transfer.sourceRemoval but does not fail the transfer,
+   * since the file has already been copied.
+   * @param {Object} transfer - Transfer object
+   * @param {Object} sourceServer - Source server configuration
+   */
+  async removeMovedSource(transfer, sourceServer) {
+    try {
+      await this.removeMovedSidecars(transfer, sourceServer);
+
+      const remainingDir = await sshManager.removeSourceFile(
+        sourceServer,
+        transfer.sourcePath,
+        this.getMediaRoot(sourceServer, transfer.sourcePath),
+        { recursive: transfer.kind === 'directory' }
+      );
+      transfer.sourceRemoval = { status: 'removed', remainingDir, plexRefresh: null, removedAt: Date.now(), error: null };
+      console.log(`[Transfer] Removed source of moved transfer ${transfer.id}: ${transfer.sourcePath}`);
+    } catch (error) {
+      console.error(`[Transfer] Failed to remove source of moved transfer ${transfer.id}:`, error.message);
+      transfer.sourceRemoval = { status: 'error', remainingDir: null, plexRefresh: null, removedAt: null, error: error.message };
+      return;
+    }
+
+    // Scan the deepest folder that still exists so Plex drops the removed items
+    if (!sourceServer.plexUrl || !sourceServer.plexToken) {
+      transfer.sourceRemoval.plexRefresh = 'skipped';
+      return;
+    }
+
+    try {
+      const section = await plexService.findSectionForPath(sourceServer.plexUrl, sourceServer.plexToken, transfer.sourcePath);
+      if (!section) {
+        transfer.sourceRemoval.plexRefresh = 'skipped';
+        return;
+      }
+
+      // Fall back to the library folder itself when pruning went above it
+      const location = section.locations.find(loc => transfer.sourcePath.startsWith(`${loc.replace(/\/+$/, '')}/`));
+      const scanPath = transfer.sourceRemoval.remainingDir.startsWith(location)
+        ? transfer.sourceRemoval.remainingDir
+        : location;
+      await plexService.scanLibraryPath(sourceServer.plexUrl, sourceServer.plexToken, section.id, scanPath);
+      transfer.sourceRemoval.plexRefresh = 'requested';
+    } catch (error) {
+      console.error(`[Transfer] Failed to refresh source library for ${transfer.id}:`, error.message);
+      transfer.sourceRemoval.plexRefresh = 'error';
+    }
+  }
+
+  /**
+   * Get the retry settings, merging transfer.retry from the config over the defaults
+   * @returns {Object} Retry settings
+   */
+  getRetryConfig() {
+    return { ...DEFAULT_RETRY, ...this.config?.transfer?.retry };
+  }
+
+  /**
+   * Get the Plex scan settings, merging transfer.plexScan from the config over the defaults
+   * @returns {Object} Plex scan settings
+   */
+  getPlexScanConfig() {
+    return { ...DEFAULT_PLEX_SCAN, ...this.config?.transfer?.plexScan };
+  }
+
+  /**
+   * Ask the destination Plex server to scan the folder of a completed transfer
+   * The scan state is tracked on transfer.plexScan and broadcast as it changes.
+   * @param {Object} transfer - Completed transfer
+   * @param {Object} destServer - Destination server configuration
+   */
+  requestLibraryScan(transfer, destServer) {
+    const scanConfig = this.getPlexScanConfig();
+    if (!scanConfig.enabled) {
+      return;
+    }
+
+    libraryScanner.queueScan(destServer, transfer.destPath, scanConfig, { directory: transfer.kind === 'directory' }, (update) => {
+      transfer.plexScan = { ...transfer.plexScan, ...update };
+
+      if (update.status === 'indexed') {
+        console.log(`[Transfer] Plex indexed ${transfer.filename} (ratingKey ${update.ratingKey})`);
+      } else if (update.error) {
+        console.log(`[Transfer] Plex scan for ${transfer.filename}: ${update.status} - ${update.error}`);
+      }
+
+      this.persist();
+      this.emitTransferUpdate(transfer);
+    });
+  }
+
+  /**
+   * Append the outcome of a run to the transfer's attempt history
+   * @param {Object} transfer - Transfer object
+   * @param {string} outcome - 'completed', 'failed', 'stalled', 'cancelled', 'paused' or 'skipped'
+   * @param {Error} error - Error that ended the run, if any
+   */
+  recordAttempt(transfer, outcome, error = null) {
+    transfer.attempts = transfer.attempts || [];
+    transfer.attempts.push({
+      attempt: transfer.attempts.length + 1,
+      startedAt: transfer.startedAt,
+      endedAt: Date.now(),
+      outcome,
+      error: error ? error.message : null,
+      exitCode: error?.exitCode ?? null
+    });
+    this.appendLog(transfer, 'info', `Attempt ${transfer.attempts.length} ${outcome}${error ? `: ${error.message}` : ''}`);
+  }
+
+  /**
+   * Hide passwords, Plex tokens and SSH key locations from log text
+   * @param {string} text - Text to mask
+   * @returns {string} Masked text
+   */
+  maskSecrets(text) {
+    const secrets = (this.config?.servers || [])
+      .flatMap(server => [server.ssh?.password, server.plexToken])
+      .filter(secret => typeof secret === 'string' && secret.length >= 4);
+
+    let masked = text.replace(/(-i\s+)("[^"]*"|'[^']*'|\S+)/g, '$1****');
+    for (const secret of secrets) {
+      masked = masked.split(secret).join('****');
+    }
+    return masked;
+  }
+
+  /**
+   * Add lines to a transfer's log and send them to clients following it
+   * The log keeps the last LOG_LINE_LIMIT lines; older ones are counted in dropped.
+   * @param {Object} transfer - Transfer object
+   * @param {string} stream - 'command', 'stdout', 'stderr' or 'info'
+   * @param {string} text - One or more lines of text
+   */
+  appendLog(transfer, stream, text) {
+    if (!this.logs.has(transfer.id)) {
+      this.logs.set(transfer.id, { lines: [], nextSeq: 1, dropped: 0 });
+    }
+    const log = this.logs.get(transfer.id);
+    const at = Date.now();
+
+    const lines = this.maskSecrets(String(text))
+      .split(/\r?\n/)
+      .filter(line => line.trim())
+      .map(line => ({
+        seq: log.nextSeq++,
+        at,
+        stream,
+        text: line.length > LOG_LINE_LENGTH ? `${line.slice(0, LOG_LINE_LENGTH)}…` : line
+      }));
+
+    if (lines.length === 0) {
+      return;
+    }
+
+    log.lines.push(...lines);
+    if (log.lines.length > LOG_LINE_LIMIT) {
+      log.dropped += log.lines.length - LOG_LINE_LIMIT;
+      log.lines.splice(0, log.lines.length - LOG_LINE_LIMIT);
+    }
+
+    if (this.io) {
+      this.io.to(`transfer-log:${transfer.id}`).emit('transfer:log', { id: transfer.id, lines });
+    }
+  }
+
+  /**
+   * Get the log of a transfer
+   * @param {string} transferId - Transfer ID
+   * @param {number} since - Only return lines after this sequence number (default: all)
+   * @returns {Object|null} { lines, dropped, rsyncStats }, or null if the transfer does not exist
+   */
+  getTransferLog(transferId, since = 0) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) {
+      return null;
+    }
+
+    const log = this.logs.get(transferId) || { lines: [], dropped: 0 };
+    return {
+      lines: log.lines.filter(line => line.seq > since),
+      dropped: log.dropped,
+      rsyncStats: transfer.rsyncStats || null
+    };
+  }
+
+  /**
+   * Re-queue a failed transfer with exponential backoff if the failure looks transient
+   * @param {Object} transfer - Transfer object
+   * @param {Error} error - Error that ended the run
+   * @returns {boolean} True if a retry was scheduled
+   */
+  scheduleRetry(transfer, error) {
+    // A transfer that is being cancelled is never put back in the queue
+    if (transfer.abortRequested === 'cancel') {
+      return false;
+    }
+
+    const retry = this.getRetryConfig();
+    const autoRetries = transfer.autoRetries || 0;
+
+    const transient = error.retryable || retry.retryableExitCodes.includes(error.exitCode);
+
+    if (!transient || autoRetries + 1 >= retry.maxAttempts) {
+      return false;
+    }
+
+    const delay = Math.min(
+      retry.initialDelayMs * Math.pow(retry.backoffMultiplier, autoRetries),
+      retry.maxDelayMs
+    );
+
+    transfer.autoRetries = autoRetries + 1;
+    transfer.status = 'queued';
+    transfer.nextAttemptAt = Date.now() + delay;
+    this.enqueue(transfer.id);
+
+    console.warn(`[Transfer] Retrying transfer ${transfer.id} in ${Math.round(delay / 1000)}s (attempt ${transfer.autoRetries + 1} of ${retry.maxAttempts}): ${error.message}`);
+    this.emitTransferUpdate(transfer);
+    this.scheduleQueueCheck(transfer.nextAttemptAt);
+    return true;
+  }
+
+  /**
+   * Process the queue again at a given time
+   * @param {number} timestamp - When to process the queue (ms since epoch)
+   */
+  scheduleQueueCheck(timestamp) {
+    const timer = setTimeout(() => this.processQueue(), Math.max(0, timestamp - Date.now()) + 100);
+    timer.unref?.();
+  }
+
+  /**
+   * Manually retry a failed or cancelled transfer
+   * The automatic retry budget starts over and the attempt history is kept.
+   * @param {string} transferId - Transfer ID
+   * @returns {boolean} Success status
+   */
+  retryTransfer(transferId) {
+    const transfer = this.transfers.get(transferId);
+
+    if (!transfer) {
+      throw new Error('Transfer not found');
+    }
+
+    if (transfer.status !== 'failed' && transfer.status !== 'cancelled') {
+      return false;
+    }
+
+    transfer.status = 'queued';
+    transfer.error = null;
+    transfer.completedAt = null;
+    transfer.autoRetries = 0;
+    transfer.nextAttemptAt = null;
+    this.enqueue(transferId);
+
+    console.log(`[Transfer] Manual retry of transfer ${transferId}: ${transfer.filename}`);
+    this.persist();
+    this.emitTransferUpdate(transfer);
+    this.processQueue();
+    return true;
+  }
+
+  /**
+   * Retry every failed transfer
+   * @returns {Array<string>} IDs of the re-queued transfers
+   */
+  retryAllFailed() {
+    const failed = Array.from(this.transfers.values())
+      .filter(t => t.status === 'failed')
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    return failed.filter(t => this.retryTransfer(t.id)).map(t => t.id);
+  }
+
+  /**
+   * Mark a killed transfer as cancelled, cleaning up the partial file according to policy
+   * @param {Object} transfer - Transfer object
+   * @param {Object} destServer - Destination server configuration
+   */
+  async finishCancellation(transfer, destServer) {
+    // A directory may have held files before the transfer, so only single files are removed.
+    // Until a copy has started, a file at destPath is not ours (e.g. one the conflict policy kept).
+    if (transfer.cancelCleanup === 'delete' && transfer.kind !== 'directory' && transfer.destWritten) {
+      try {
+        await sshManager.removePartialFile(destServer, transfer.destPath);
+        transfer.destWritten = false;
+      } catch (error) {
+        console.error(`[Transfer] Failed to clean up partial file for ${transfer.id}:`, error.message);
+      }
+    }
+
+    transfer.status = 'cancelled';
+    transfer.abortRequested = null;
+    transfer.completedAt = Date.now();
+
+    console.log(`[Transfer] Cancelled transfer ${transfer.id}: ${transfer.filename}`);
+    this.emitTransferUpdate(transfer);
+  }
+
+  /**
+   * Cancel a transfer
+   * Active transfers are only reported as cancelled once the remote rsync has exited.
+   * @param {string} transferId - Transfer ID
+   * @param {Object} sourceServer - Source server configuration
+   * @param {Object} options - Cancellation options
+   * @param {string} options.cleanup - Partial file policy: 'delete' or 'keep' (default from config)
+   * @returns {Promise<boolean>} Success status
+   */
+  async cancelTransfer(transferId, sourceServer, options = {}) {
+    const transfer = this.transfers.get(transferId);
+    
+    if (!transfer) {
+      throw new Error('Transfer not found');
+    }
+
+    if (transfer.status === 'queued' || transfer.status === 'scheduled') {
+      // Remove from queue
+      const index = this.queue.indexOf(transferId);
+      if (index > -1) {
+        this.queue.splice(index, 1);
+      }
+      transfer.status = 'cancelled';
+      transfer.completedAt = Date.now();
+      this.persist();
+      this.emitTransferUpdate(transfer);
+      return true;
+    }
+
+    if (transfer.status === 'paused') {
+      transfer.cancelCleanup = options.cleanup || this.config?.transfer?.cancelCleanup || 'delete';
+
+      // Paused while still queued: nothing was copied, so there is nothing to clean up
+      const { destServer } = this.resolveServers(transfer);
+      if (transfer.destWritten && destServer) {
+        await this.finishCancellation(transfer, destServer);
+      } else {
+        transfer.status = 'cancelled';
+        transfer.completedAt = Date.now();
+        console.log(`[Transfer] Cancelled transfer ${transfer.id}: ${transfer.filename}`);
+        this.emitTransferUpdate(transfer);
+      }
+      this.persist();
+      return true;
+    }
+
+    if (transfer.status === 'active' || transfer.status === 'verifying') {
+      transfer.cancelCleanup = options.cleanup || this.config?.transfer?.cancelCleanup || 'delete';
+      await this.abortActiveTransfer(transfer, 'cancel');
+      return transfer.status === 'cancelled';
+    }
+
+    return false;
   }
 
   /**
-   * Set Socket.IO instance for real-time updates
-   * @param {Object} socketIO - Socket.IO server instance
+   * Get how long a running transfer may go without progress or output
+   * @returns {number} Timeout in milliseconds (0 if stall detection is off)
    */
-  setSocketIO(socketIO) {
-    this.io = socketIO;
+  getStallTimeoutMs() {
+    const seconds = this.config?.transfer?.stallTimeoutSec ?? DEFAULT_STALL_TIMEOUT_SEC;
+    return Math.max(0, Number(seconds) || 0) * 1000;
   }
 
   /**
-   * Set maximum concurrent transfers
-   * @param {number} max - Maximum concurrent transfers
+   * Stop running transfers that have gone without progress or output for the stall timeout
+   * Called on every scheduler tick. Verifying transfers are checked too, from the start of
+   * the verification, with extra time for the checksums to read the file.
    */
-  setMaxConcurrent(max) {
-    this.maxConcurrent = max;
+  checkStalledTransfers() {
+    const timeout = this.getStallTimeoutMs();
+    if (timeout === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    for (const transfer of this.transfers.values()) {
+      if (!['active', 'verifying'].includes(transfer.status) || transfer.abortRequested || !transfer.lastProgressAt) {
+        continue;
+      }
+
+      const budget = transfer.status === 'verifying'
+        ? timeout + Math.ceil((transfer.size || 0) / VERIFY_MIN_BYTES_PER_SECOND) * 1000
+        : timeout;
+      if (now - transfer.lastProgressAt > budget) {
+        this.abortStalledTransfer(transfer).catch(error => {
+          console.error(`[Transfer] Failed to stop stalled transfer ${transfer.id}:`, error.message);
+        });
+      }
+    }
   }
 
   /**
-   * Create a new file transfer
-   * @param {Object} sourceServer - Source server configuration
-   * @param {Object} destServer - Destination server configuration
-   * @param {Array} files - Array of file paths to transfer
-   * @returns {Promise<Array>} Array of transfer IDs
+   * Stop a stalled transfer so startTransfer retries or fails it
+   * The process is killed first; if that doesn't end the run in time (e.g. the SSH channel
+   * itself is hung), the channel is dropped without waiting for the remote side. A run that
+   * still doesn't end, or that hangs without a process (conflict or space check, an SSH
+   * command that never reports its PID), is then settled without it. A verifying run is
+   * settled right away, which kills its checksum commands.
+   * @param {Object} transfer - Transfer object
    */
-  async createTransfers(sourceServer, destServer, files) {
-    const transferIds = [];
+  async abortStalledTransfer(transfer) {
+    const seconds = Math.round((Date.now() - transfer.lastProgressAt) / 1000);
+    const run = this.runs.get(transfer.id);
+    transfer.abortRequested = 'stall';
+    console.warn(`[Transfer] Transfer ${transfer.id} stalled (no progress for ${seconds}s), stopping it: ${transfer.filename}`);
+    this.appendLog(transfer, 'info', `No progress for ${seconds}s, stopping the stalled copy`);
+    this.persist();
+    this.emitTransferUpdate(transfer);
 
-    for (const file of files) {
-      const transferId = uuidv4();
-      
-      const destPath = this.buildDestPath(file.path, sourceServer.mediaPaths, destServer.mediaPaths);
+    if (!run) {
+      return;
+    }
 
-      const transfer = {
-        id: transferId,
-        sourceServerId: sourceServer.id,
-        destServerId: destServer.id,
-        sourcePath: file.path,
-        destPath: destPath,
-        filename: file.name,
-        size: file.size,
-        status: 'queued', // queued, active, completed, failed, cancelled, skipped
-        progress: {
-          percentage: 0,
-          transferred: 0,
-          speed: null,
-          eta: null
-        },
-        error: null,
-        createdAt: Date.now(),
-        startedAt: null,
-        completedAt: null
-      };
+    // Checksums never report a PID to wait for; aborting the run kills them
+    if (transfer.status === 'verifying') {
+      this.runAborts.get(transfer.id)?.abort(new Error('Transfer stalled'));
+      await run;
+      return;
+    }
 
-      this.transfers.set(transferId, transfer);
-      this.queue.push(transferId);
-      transferIds.push(transferId);
+    // Without a process handle, onStart stops a process that reports its PID meanwhile
+    const processHandle = this.processes.get(transfer.id);
+    const stopped = processHandle
+      ? this.stopProcess(processHandle).catch(error => {
+        this.appendLog(transfer, 'info', `Could not stop the process: ${error.message}`);
+      })
+      : Promise.resolve();
 
-      // Emit transfer created event
-      this.emitTransferUpdate(transfer);
+    if (await settlesWithin(stopped.then(() => run), STALL_STOP_TIMEOUT_MS)) {
+      return;
     }
 
-    // Process queue
-    this.processQueue(sourceServer, destServer);
+    const hungHandle = this.processes.get(transfer.id);
+    if (hungHandle?.close) {
+      this.appendLog(transfer, 'info', 'The process did not stop in time, dropping its channel');
+      hungHandle.close();
+
+      if (await settlesWithin(run, STALL_STOP_TIMEOUT_MS)) {
+        return;
+      }
+    }
 
-    return transferIds;
+    // A cancel that took over has settled the run already
+    if (transfer.abortRequested === 'stall') {
+      this.appendLog(transfer, 'info', 'The stalled step did not end, giving up on it');
+      this.runAborts.get(transfer.id)?.abort(new Error('Transfer stalled'));
+    }
   }
 
   /**
-   * Build destination path based on media paths
-   * Handles separate paths for movies and TV shows
-   * @param {string} sourcePath - Source file path
-   * @param {Object} sourceMediaPaths - Source server media paths object
-   * @param {Object} destMediaPaths - Destination server media paths object
-   * @returns {string} Destination path
+   * Stop the rsync of an active or verifying transfer and wait for startTransfer to settle it
+   * Without a running process (not started yet, between copies or verifying) the run is
+   * settled right away; a process that reports its PID later is stopped by onStart.
+   * @param {Object} transfer - Transfer object
+   * @param {string} reason - Why the transfer is stopped ('cancel' or 'pause')
    */
-  buildDestPath(sourcePath, sourceMediaPaths, destMediaPaths) {
-    // Determine media type and get relative path
-    let relativePath;
-    let mediaType;
-
-    // Check if path is in movies directory
-    if (sourceMediaPaths.movies && sourcePath.startsWith(sourceMediaPaths.movies)) {
-      relativePath = sourcePath.replace(sourceMediaPaths.movies, '').replace(/^\/+/, '');
-      mediaType = 'movies';
-    }
-    // Check if path is in TV directory
-    else if (sourceMediaPaths.tv && sourcePath.startsWith(sourceMediaPaths.tv)) {
-      relativePath = sourcePath.replace(sourceMediaPaths.tv, '').replace(/^\/+/, '');
-      mediaType = 'tv';
-    }
-    // Fallback to root path
-    else if (sourceMediaPaths.root && sourcePath.startsWith(sourceMediaPaths.root)) {
-      relativePath = sourcePath.replace(sourceMediaPaths.root, '').replace(/^\/+/, '');
-      mediaType = 'root';
-    }
-    // If no match, just use the filename
-    else {
-      const parts = sourcePath.split('/');
-      relativePath = parts[parts.length - 1];
-      mediaType = 'root';
-    }
-
-    // Build destination path based on media type
-    let destBasePath;
-    if (mediaType === 'movies' && destMediaPaths.movies) {
-      destBasePath = destMediaPaths.movies;
-    } else if (mediaType === 'tv' && destMediaPaths.tv) {
-      destBasePath = destMediaPaths.tv;
+  async abortActiveTransfer(transfer, reason) {
+    const run = this.runs.get(transfer.id);
+
+    if (transfer.abortRequested === 'cancel' || (transfer.abortRequested && reason !== 'cancel')) {
+      // Another stop is already in progress
+      await run;
+      return;
+    }
+
+    if (transfer.abortRequested) {
+      // A cancel takes over from a pause or stall stop, whose process is already being stopped
+      transfer.abortRequested = reason;
+      this.persist();
+      this.emitTransferUpdate(transfer);
+      this.runAborts.get(transfer.id)?.abort(new Error('Transfer cancelled'));
+      await run;
+      return;
+    }
+
+    transfer.abortRequested = reason;
+    this.persist();
+    this.emitTransferUpdate(transfer);
+
+    const processHandle = this.processes.get(transfer.id);
+    if (processHandle) {
+      try {
+        await this.stopProcess(processHandle);
+      } catch (error) {
+        transfer.abortRequested = null;
+        this.persist();
+        this.emitTransferUpdate(transfer);
+        throw error;
+      }
     } else {
-      destBasePath = destMediaPaths.root || destMediaPaths.movies || destMediaPaths.tv;
+      this.runAborts.get(transfer.id)?.abort(new Error(`Transfer ${reason === 'cancel' ? 'cancelled' : 'paused'}`));
     }
 
-    return `${destBasePath}/${relativePath}`.replace(/\/+/g, '/');
+    // Wait until the transfer has wound down
+    await run;
   }
 
   /**
-   * Process the transfer queue
-   * @param {Object} sourceServer - Source server configuration
-   * @param {Object} destServer - Destination server configuration
+   * Pause a queued or active transfer
+   * Active transfers are stopped and keep their partial file for rsync --partial.
+   * @param {string} transferId - Transfer ID
+   * @param {string} pausedBy - 'user' for single transfers, 'queue' for a global pause
+   * @returns {Promise<boolean>} Success status
    */
-  async processQueue(sourceServer, destServer) {
-    // Start transfers up to max concurrent limit
-    while (this.queue.length > 0 && this.activeTransfers.size < this.maxConcurrent) {
-      const transferId = this.queue.shift();
-      const transfer = this.transfers.get(transferId);
+  async pauseTransfer(transferId, pausedBy = 'user') {
+    const transfer = this.transfers.get(transferId);
 
-      if (!transfer || transfer.status !== 'queued') {
-        continue;
+    if (!transfer) {
+      throw new Error('Transfer not found');
+    }
+
+    if (transfer.status === 'queued') {
+      const index = this.queue.indexOf(transferId);
+      if (index > -1) {
+        this.queue.splice(index, 1);
       }
+      transfer.status = 'paused';
+      transfer.pausedBy = pausedBy;
+      this.persist();
+      this.emitTransferUpdate(transfer);
+      return true;
+    }
 
-      this.activeTransfers.add(transferId);
-      this.startTransfer(transferId, sourceServer, destServer);
+    if (transfer.status === 'active' || transfer.status === 'verifying') {
+      transfer.pausedBy = pausedBy;
+      await this.abortActiveTransfer(transfer, 'pause');
+      return transfer.status === 'paused';
     }
+
+    return false;
   }
 
   /**
-   * Start a single file transfer
+   * Resume a paused transfer by putting it back at the front of the queue
    * @param {string} transferId - Transfer ID
-   * @param {Object} sourceServer - Source server configuration
-   * @param {Object} destServer - Destination server configuration
+   * @returns {boolean} Success status
    */
-  async startTransfer(transferId, sourceServer, destServer) {
+  resumeTransfer(transferId) {
     const transfer = this.transfers.get(transferId);
 
     if (!transfer) {
-      return;
+      throw new Error('Transfer not found');
     }
 
-    transfer.status = 'active';
-    transfer.startedAt = Date.now();
+    if (transfer.status !== 'paused') {
+      return false;
+    }
+
+    transfer.status = 'queued';
+    transfer.pausedBy = null;
+    this.queue.unshift(transferId);
+    this.persist();
     this.emitTransferUpdate(transfer);
 
-    try {
-      console.log(`[Transfer] Starting transfer ${transferId}: ${transfer.filename}`);
+    this.processQueue();
+    return true;
+  }
 
-      // Progress callback for rsync
-      const progressCallback = (progress) => {
-        transfer.progress = {
-          percentage: progress.percentage,
-          transferred: progress.transferred,
-          speed: progress.speed,
-          eta: progress.eta
-        };
-        this.emitTransferProgress(transfer);
-      };
+  /**
+   * Pause the whole queue so no new transfers are started
+   * @param {Object} options - Pause options
+   * @param {boolean} options.includeActive - Also pause transfers that are currently running
+   */
+  async pauseQueue(options = {}) {
+    this.queuePaused = true;
+    this.persist();
+    this.emitQueueUpdate();
 
-      // Start rsync transfer
-      await sshManager.startRsyncTransfer(
-        sourceServer,
-        destServer,
-        transfer.sourcePath,
-        transfer.destPath,
-        progressCallback
-      );
+    if (options.includeActive) {
+      const active = Array.from(this.transfers.values()).filter(t => t.status === 'active' || t.status === 'verifying');
+      await Promise.all(active.map(t => this.pauseTransfer(t.id, 'queue')));
+    }
 
-      // Transfer completed successfully
-      transfer.status = 'completed';
-      transfer.completedAt = Date.now();
-      transfer.progress.percentage = 100;
+    console.log('[Transfer] Queue paused');
+  }
 
-      console.log(`[Transfer] Completed transfer ${transferId}: ${transfer.filename}`);
-      this.emitTransferComplete(transfer);
+  /**
+   * Resume the queue, including transfers that were paused by pauseQueue
+   */
+  resumeQueue() {
+    this.queuePaused = false;
 
-    } catch (error) {
-      // Transfer failed
-      transfer.status = 'failed';
-      transfer.error = error.message;
-      transfer.completedAt = Date.now();
+    const pausedByQueue = Array.from(this.transfers.values())
+      .filter(t => t.status === 'paused' && t.pausedBy === 'queue');
 
-      console.error(`[Transfer] Failed transfer ${transferId}:`, error.message);
-      this.emitTransferError(transfer);
+    for (const transfer of pausedByQueue) {
+      transfer.status = 'queued';
+      transfer.pausedBy = null;
+      this.queue.unshift(transfer.id);
+      this.emitTransferUpdate(transfer);
+    }
 
-    } finally {
-      // Remove from active transfers
-      this.activeTransfers.delete(transferId);
+    this.persist();
+    this.emitQueueUpdate();
+    console.log('[Transfer] Queue resumed');
 
-      // Process next in queue
-      this.processQueue(sourceServer, destServer);
+    this.processQueue();
+  }
+
+  /**
+   * Get a batch with progress aggregated over its transfers
+   * @param {string} batchId - Batch ID
+   * @returns {Object|null} Batch summary or null if the batch does not exist
+   */
+  getBatch(batchId) {
+    const batch = this.batches.get(batchId);
+
+    if (!batch) {
+      return null;
+    }
+
+    const transfers = batch.transferIds.map(id => this.transfers.get(id)).filter(Boolean);
+    const counts = {};
+    let totalBytes = 0;
+    let transferredBytes = 0;
+
+    for (const transfer of transfers) {
+      counts[transfer.status] = (counts[transfer.status] || 0) + 1;
+      totalBytes += transfer.size || 0;
+
+      if (transfer.status === 'completed' || transfer.status === 'skipped') {
+        transferredBytes += transfer.size || 0;
+      } else if (transfer.status !== 'cancelled' && transfer.status !== 'failed') {
+        transferredBytes += transfer.progress?.transferred || 0;
+      }
+    }
+
+    const count = (...statuses) => statuses.reduce((sum, status) => sum + (counts[status] || 0), 0);
+    const finished = count('completed', 'failed', 'cancelled', 'skipped');
+
+    let status;
+    if (count('active', 'verifying') > 0) {
+      status = 'active';
+    } else if (count('queued') > 0) {
+      status = 'queued';
+    } else if (count('scheduled') > 0) {
+      status = 'scheduled';
+    } else if (count('paused') > 0) {
+      status = 'paused';
+    } else if (count('failed') > 0) {
+      status = count('completed', 'skipped') > 0 ? 'partial' : 'failed';
+    } else if (transfers.length > 0 && count('cancelled') === transfers.length) {
+      status = 'cancelled';
+    } else {
+      status = 'completed';
+    }
+
+    // ETA from the average rate since the batch started
+    let etaSeconds = null;
+    if (status === 'active' && batch.startedAt && transferredBytes > 0) {
+      const bytesPerSecond = transferredBytes / Math.max(1, (Date.now() - batch.startedAt) / 1000);
+      etaSeconds = Math.round(Math.max(0, totalBytes - transferredBytes) / bytesPerSecond);
     }
+
+    const done = finished === transfers.length && transfers.length > 0;
+
+    return {
+      ...batch,
+      status,
+      totalFiles: transfers.length,
+      finishedFiles: finished,
+      counts,
+      totalBytes,
+      transferredBytes,
+      percentage: totalBytes > 0 ? Math.min(100, Math.round((transferredBytes / totalBytes) * 1000) / 10) : (done ? 100 : 0),
+      etaSeconds,
+      completedAt: done ? Math.max(...transfers.map(t => t.completedAt || 0)) : null
+    };
   }
 
   /**
-   * Cancel a transfer
-   * @param {string} transferId - Transfer ID
-   * @param {Object} sourceServer - Source server configuration
-   * @returns {Promise<boolean>} Success status
+   * Get all batches, newest first
+   * @returns {Array} Array of batch summaries
    */
-  async cancelTransfer(transferId, sourceServer) {
-    const transfer = this.transfers.get(transferId);
-    
-    if (!transfer) {
-      throw new Error('Transfer not found');
+  getAllBatches() {
+    return Array.from(this.batches.keys())
+      .map(id => this.getBatch(id))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Get the transfer objects of a batch
+   * @param {string} batchId - Batch ID
+   * @returns {Array} Transfers in the order they were created
+   */
+  getBatchTransfers(batchId) {
+    const batch = this.batches.get(batchId);
+
+    if (!batch) {
+      throw new Error('Batch not found');
     }
 
-    if (transfer.status === 'queued') {
-      // Remove from queue
-      const index = this.queue.indexOf(transferId);
-      if (index > -1) {
-        this.queue.splice(index, 1);
+    return batch.transferIds.map(id => this.transfers.get(id)).filter(Boolean);
+  }
+
+  /**
+   * Cancel every unfinished transfer of a batch
+   * @param {string} batchId - Batch ID
+   * @param {Object} options - Cancellation options, see cancelTransfer
+   * @returns {Promise<Array<string>>} IDs of the cancelled transfers
+   */
+  async cancelBatch(batchId, options = {}) {
+    const transfers = this.getBatchTransfers(batchId);
+
+    // Take waiting transfers out first so none of them start while active ones are stopped
+    const waiting = transfers.filter(t => ['queued', 'scheduled', 'paused'].includes(t.status));
+    const active = transfers.filter(t => t.status === 'active' || t.status === 'verifying');
+    const cancelled = [];
+
+    for (const transfer of waiting) {
+      if (await this.cancelTransfer(transfer.id, this.resolveServers(transfer).sourceServer, options)) {
+        cancelled.push(transfer.id);
       }
-      transfer.status = 'cancelled';
-      transfer.completedAt = Date.now();
-      this.emitTransferUpdate(transfer);
-      return true;
     }
 
-    if (transfer.status === 'active') {
-      // Try to kill the rsync process
-      // This is a simplified approach - in production, you'd track process IDs
-      transfer.status = 'cancelled';
-      transfer.completedAt = Date.now();
-      this.activeTransfers.delete(transferId);
-      this.emitTransferUpdate(transfer);
-      return true;
+    const results = await Promise.all(active.map(t =>
+      this.cancelTransfer(t.id, this.resolveServers(t).sourceServer, options)
+    ));
+    active.forEach((t, i) => results[i] && cancelled.push(t.id));
+
+    console.log(`[Transfer] Cancelled ${cancelled.length} transfer(s) of batch ${batchId}`);
+    return cancelled;
+  }
+
+  /**
+   * Pause every queued or active transfer of a batch
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Array<string>>} IDs of the paused transfers
+   */
+  async pauseBatch(batchId) {
+    const transfers = this.getBatchTransfers(batchId);
+    const queued = transfers.filter(t => t.status === 'queued');
+    const active = transfers.filter(t => t.status === 'active' || t.status === 'verifying');
+    const paused = [];
+
+    for (const transfer of queued) {
+      if (await this.pauseTransfer(transfer.id)) {
+        paused.push(transfer.id);
+      }
     }
 
-    return false;
+    const results = await Promise.all(active.map(t => this.pauseTransfer(t.id)));
+    active.forEach((t, i) => results[i] && paused.push(t.id));
+
+    console.log(`[Transfer] Paused ${paused.length} transfer(s) of batch ${batchId}`);
+    return paused;
+  }
+
+  /**
+   * Resume every paused transfer of a batch, keeping their order
+   * @param {string} batchId - Batch ID
+   * @returns {Array<string>} IDs of the resumed transfers
+   */
+  resumeBatch(batchId) {
+    const paused = this.getBatchTransfers(batchId).filter(t => t.status === 'paused');
+
+    // resumeTransfer puts each transfer at the front of the queue, so go backwards
+    for (const transfer of [...paused].reverse()) {
+      this.resumeTransfer(transfer.id);
+    }
+
+    return paused.map(t => t.id);
+  }
+
+  /**
+   * Retry every failed or cancelled transfer of a batch
+   * @param {string} batchId - Batch ID
+   * @returns {Array<string>} IDs of the re-queued transfers
+   */
+  retryBatch(batchId) {
+    return this.getBatchTransfers(batchId)
+      .filter(t => t.status === 'failed' || t.status === 'cancelled')
+      .filter(t => this.retryTransfer(t.id))
+      .map(t => t.id);
+  }
+
+  /**
+   * Get the state of the queue
+   * @returns {Object} Queue state
+   */
+  getQueueState() {
+    return {
+      paused: this.queuePaused,
+      quietHours: this.isQuietTime(),
+      strategy: this.queueStrategy,
+      order: [...this.queue],
+      queued: this.queue.length,
+      active: this.activeTransfers.size,
+      maxConcurrent: this.maxConcurrent
+    };
   }
 
   /**
@@ -284,19 +2773,23 @@ class TransferManager {
 
   /**
    * Get transfer statistics
-   * @returns {Object} Statistics object
+   * @returns {Object} Counts per status, and the queue estimate from getQueueEstimate as queue
    */
   getStatistics() {
     const transfers = Array.from(this.transfers.values());
 
     return {
       total: transfers.length,
+      scheduled: transfers.filter(t => t.status === 'scheduled').length,
       queued: transfers.filter(t => t.status === 'queued').length,
       active: transfers.filter(t => t.status === 'active').length,
+      verifying: transfers.filter(t => t.status === 'verifying').length,
       completed: transfers.filter(t => t.status === 'completed').length,
       failed: transfers.filter(t => t.status === 'failed').length,
       cancelled: transfers.filter(t => t.status === 'cancelled').length,
-      skipped: transfers.filter(t => t.status === 'skipped').length
+      paused: transfers.filter(t => t.status === 'paused').length,
+      skipped: transfers.filter(t => t.status === 'skipped').length,
+      queue: this.getQueueEstimate()
     };
   }
 
@@ -318,9 +2811,21 @@ class TransferManager {
       }
     }
 
-    toDelete.forEach(id => this.transfers.delete(id));
+    toDelete.forEach(id => {
+      this.transfers.delete(id);
+      this.logs.delete(id);
+    });
+
+    // Drop batches whose transfers have all been cleared
+    for (const [batchId, batch] of this.batches.entries()) {
+      batch.transferIds = batch.transferIds.filter(id => this.transfers.has(id));
+      if (batch.transferIds.length === 0) {
+        this.batches.delete(batchId);
+      }
+    }
 
     if (toDelete.length > 0) {
+      this.persist();
       console.log(`[Transfer] Cleared ${toDelete.length} old transfers`);
     }
   }
@@ -333,6 +2838,26 @@ class TransferManager {
     if (this.io) {
       this.io.emit('transfer:update', transfer);
     }
+    this.emitBatchUpdate(transfer.batchId);
+  }
+
+  /**
+   * Emit the aggregated state of a batch via Socket.IO
+   * @param {string} batchId - Batch ID
+   */
+  emitBatchUpdate(batchId) {
+    if (this.io && batchId && this.batches.has(batchId)) {
+      this.io.emit('batch:update', this.getBatch(batchId));
+    }
+  }
+
+  /**
+   * Emit queue state event via Socket.IO
+   */
+  emitQueueUpdate() {
+    if (this.io) {
+      this.io.emit('queue:update', this.getQueueState());
+    }
   }
 
   /**
@@ -347,6 +2872,7 @@ class TransferManager {
         progress: transfer.progress
       });
     }
+    this.emitBatchUpdate(transfer.batchId);
   }
 
   /**
@@ -363,6 +2889,20 @@ class TransferManager {
     }
   }
 
+  /**
+   * Emit transfer verification result via Socket.IO
+   * @param {Object} transfer - Transfer object
+   */
+  emitTransferVerify(transfer) {
+    if (this.io) {
+      this.io.emit('transfer:verify', {
+        id: transfer.id,
+        filename: transfer.filename,
+        verification: transfer.verification
+      });
+    }
+  }
+
   /**
    * Emit transfer error event via Socket.IO
    * @param {Object} transfer - Transfer object
@@ -0,0 +1,95 @@
+import { readFileSync, writeFileSync, renameSync, mkdirSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Default location of the transfer journal (backend/data/transfers.json)
+const DEFAULT_STATE_PATH = join(__dirname, '..', '..', 'data', 'transfers.json');
+
+class TransferStore {
+  constructor() {
+    this.filePath = DEFAULT_STATE_PATH;
+    this.saveDelay = 1000;
+    this.saveTimer = null;
+    this.snapshot = null;
+  }
+
+  /**
+   * Set the journal file location
+   * @param {string} filePath - Path to the JSON journal (relative paths resolve from backend/)
+   */
+  setFilePath(filePath) {
+    if (filePath) {
+      this.filePath = resolve(join(__dirname, '..', '..'), filePath);
+    }
+  }
+
+  /**
+   * Load the persisted transfer state
+   * @returns {Object|null} Saved state or null if nothing was persisted
+   */
+  load() {
+    if (!existsSync(this.filePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(readFileSync(this.filePath, 'utf-8'));
+    } catch (error) {
+      // Keep the unreadable journal around for inspection instead of overwriting it
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      console.error(`[Store] Failed to read transfer journal, moving it to ${corruptPath}:`, error.message);
+      try {
+        renameSync(this.filePath, corruptPath);
+      } catch (renameError) {
+        console.error('[Store] Could not move corrupt journal:', renameError.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Schedule a write of the transfer state
+   * Writes are debounced so frequent progress updates only hit the disk once per interval
+   * @param {Function} snapshot - Function returning the state to persist
+   */
+  save(snapshot) {
+    this.snapshot = snapshot;
+
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+    }
+  }
+
+  /**
+   * Write any pending state to disk immediately
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    if (!this.snapshot) {
+      return;
+    }
+
+    const state = this.snapshot();
+    this.snapshot = null;
+
+    try {
+      // Write to a temporary file first so a crash mid-write never truncates the journal
+      mkdirSync(dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      writeFileSync(tempPath, JSON.stringify(state, null, 2));
+      renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('[Store] Failed to write transfer journal:', error.message);
+    }
+  }
+}
+
+// Export singleton instance
+export default new TransferStore();
@@ -0,0 +1,85 @@
+/**
+ * Checks for the transfer section of the configuration.
+ *
+ * Used when settings are saved, when config.json is reloaded and at startup, so a
+ * malformed time window or rsync profile is refused before the scheduler evaluates it.
+ * Each check returns an error message, or null if the settings are valid.
+ */
+
+import { validateWindow } from './time-windows.js';
+import { DEFAULT_RSYNC_PROFILES, parseRsyncOptions, validateRsyncProfiles } from './rsync-options.js';
+
+/**
+ * Validate the time windows in transfer settings
+ * @param {Object} transfer - transfer section of the config
+ * @returns {string|null} Error message, or null if the windows are valid
+ */
+export function validateTransferWindows(transfer) {
+  if (!transfer) {
+    return null;
+  }
+
+  const groups = {
+    'bandwidth schedule': transfer.bandwidth?.schedule,
+    'quiet hours': transfer.quietHours,
+    'transfer windows': transfer.windows && Object.values(transfer.windows)
+  };
+
+  for (const [name, windows] of Object.entries(groups)) {
+    if (windows === undefined) {
+      continue;
+    }
+
+    try {
+      if (!Array.isArray(windows)) {
+        throw new Error('expected a list of time windows');
+      }
+      windows.forEach(validateWindow);
+    } catch (error) {
+      return `Invalid ${name}: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate the rsync profiles in transfer settings and the profile names that refer to them
+ * @param {Object} transfer - transfer section of the config
+ * @returns {string|null} Error message, or null if the profiles are valid
+ */
+export function validateRsyncSettings(transfer) {
+  if (!transfer) {
+    return null;
+  }
+
+  try {
+    validateRsyncProfiles(transfer.rsyncProfiles);
+    parseRsyncOptions(transfer.rsyncOptions);
+  } catch (error) {
+    return `Invalid rsync options: ${error.message}`;
+  }
+
+  const names = new Set([...Object.keys(DEFAULT_RSYNC_PROFILES), ...Object.keys(transfer.rsyncProfiles || {})]);
+  const references = [
+    ['Default rsync profile', transfer.rsyncProfile],
+    ...Object.entries(transfer.pairs || {}).map(([pair, pairConfig]) => [`${pair}: rsync profile`, pairConfig?.rsyncProfile])
+  ];
+
+  for (const [label, name] of references) {
+    if (name && !names.has(name)) {
+      return `${label} does not exist: ${name}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run every check on the transfer settings of a whole config
+ * @param {Object} transfer - transfer section of the config
+ * @returns {string|null} First error message, or null if the settings are valid
+ */
+export function validateTransferConfig(transfer) {
+  return validateRsyncSettings(transfer) || validateTransferWindows(transfer);
+}
@@ -0,0 +1,130 @@
+/**
+ * Helpers for rsync option profiles (transfer.rsyncProfiles).
+ *
+ * Profile options end up on a remote shell command line, so only allowlisted options
+ * are accepted. A profile is a string ("-av --whole-file") or an array of options
+ * (["-av", "--whole-file"]). The flags the transfer code relies on (--info=progress2,
+ * --partial, --mkpath, --stats) and the ones it manages itself (--bwlimit, -e) are added
+ * when the command is built and can't be set here.
+ */
+
+// Built-in profiles; transfer.rsyncProfiles can override them or add new ones.
+// "default" is replaced by transfer.rsyncOptions when that is set.
+export const DEFAULT_RSYNC_PROFILES = {
+  default: ['-avz'],
+  lan: ['-av', '--whole-file'],
+  wan: ['-avz', '--compress-level=9', '--timeout=300'],
+  'preserve-perms': ['-avz', '--acls', '--xattrs', '--numeric-ids']
+};
+
+// Single-letter options that may be combined, as in -avz
+const SHORT_OPTIONS = 'avzrlptgoDHAXSWcuIx';
+
+const LONG_OPTIONS = new Set([
+  '--archive', '--verbose', '--compress', '--no-compress', '--recursive', '--links', '--copy-links',
+  '--safe-links', '--hard-links', '--perms', '--no-perms', '--executability', '--times', '--no-times',
+  '--omit-dir-times', '--group', '--no-group', '--owner', '--no-owner', '--devices', '--specials',
+  '--acls', '--xattrs', '--numeric-ids', '--sparse', '--whole-file', '--no-whole-file', '--checksum',
+  '--update', '--inplace', '--append-verify', '--ignore-times', '--size-only', '--one-file-system',
+  '--delay-updates', '--fsync', '--preallocate'
+]);
+
+// Options taking a value, with the values they accept
+const VALUE_OPTIONS = {
+  '--compress-level': /^\d$/,
+  '--compress-choice': /^(zstd|lz4|zlibx|zlib|none)$/,
+  '--checksum-choice': /^(auto|xxh128|xxh3|xxh64|md5|md4|none)$/,
+  '--timeout': /^\d+$/,
+  '--contimeout': /^\d+$/,
+  '--modify-window': /^-?\d+$/,
+  '--block-size': /^\d+[KMG]?$/,
+  '--chmod': /^[ugoaDF]*[-+=][rwxXst]*(,[ugoaDF]*[-+=][rwxXst]*)*$|^[DF]?[0-7]{3,4}$/
+};
+
+// Always present, so allowed in a profile but dropped from it
+const ENFORCED_OPTIONS = new Set(['--progress', '-P', '--partial', '--stats']);
+
+/**
+ * Split profile options into individual options
+ * @param {string|Array<string>} options - Profile options
+ * @returns {Array<string>} Options
+ */
+function splitOptions(options) {
+  if (Array.isArray(options)) {
+    return options.flatMap(option => String(option).trim().split(/\s+/)).filter(Boolean);
+  }
+
+  return String(options ?? '').trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Check a single option against the allowlist
+ * @param {string} option - Option such as "-avz" or "--timeout=300"
+ * @returns {string|null} Error message, or null if the option is allowed
+ */
+function checkOption(option) {
+  if (ENFORCED_OPTIONS.has(option) || LONG_OPTIONS.has(option)) {
+    return null;
+  }
+
+  if (/^-[^-]/.test(option)) {
+    const invalid = [...option.slice(1)].filter(letter => !SHORT_OPTIONS.includes(letter));
+    return invalid.length === 0 ? null : `Option not allowed: -${invalid.join('')} (in ${option})`;
+  }
+
+  const [name, ...rest] = option.split('=');
+  const value = rest.join('=');
+  if (VALUE_OPTIONS[name]) {
+    return rest.length > 0 && VALUE_OPTIONS[name].test(value) ? null : `Invalid value for ${name}: ${value || '(none)'}`;
+  }
+
+  return `Option not allowed: ${option}`;
+}
+
+/**
+ * Parse and check the options of a profile
+ * @param {string|Array<string>} options - Profile options
+ * @returns {Array<string>} Options to pass to rsync, without the enforced ones
+ * @throws {Error} If an option is not allowed
+ */
+export function parseRsyncOptions(options) {
+  if (options !== undefined && options !== null && typeof options !== 'string' && !Array.isArray(options)) {
+    throw new Error('rsync options must be a string or an array of strings');
+  }
+
+  const parsed = splitOptions(options);
+  for (const option of parsed) {
+    const error = checkOption(option);
+    if (error) {
+      throw new Error(error);
+    }
+  }
+
+  return parsed.filter(option => !ENFORCED_OPTIONS.has(option));
+}
+
+/**
+ * Validate a set of profiles, throwing a descriptive error if one is malformed
+ * @param {Object} profiles - Profile options by name
+ */
+export function validateRsyncProfiles(profiles) {
+  if (profiles === undefined || profiles === null) {
+    return;
+  }
+
+  if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new Error('rsyncProfiles must be an object of profile name to options');
+  }
+
+  for (const [name, options] of Object.entries(profiles)) {
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid rsync profile name: ${name}`);
+    }
+
+    try {
+      parseRsyncOptions(options);
+    } catch (error) {
+      throw new Error(`rsync profile "${name}": ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Helpers for weekly time windows used by bandwidth schedules and transfer windows.
+ *
+ * A window looks like { days: [1, 2, 3, 4, 5], start: "18:00", end: "23:00" }.
+ * - days: Days of the week the window starts on (0 = Sunday); omit for every day
+ * - start/end: Local server time (HH:MM); an end before the start runs past midnight
+ *   and a start equal to the end covers the whole day
+ */
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes after midnight
+ */
+export function parseTimeOfDay(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+
+  if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+    throw new Error(`Invalid time of day: ${time} (expected HH:MM)`);
+  }
+
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Validate a time window, throwing a descriptive error if it is malformed
+ * @param {Object} window - Time window
+ */
+export function validateWindow(window) {
+  if (!window || typeof window !== 'object') {
+    throw new Error('Time window must be an object');
+  }
+
+  parseTimeOfDay(window.start);
+  parseTimeOfDay(window.end);
+
+  if (window.days !== undefined) {
+    if (!Array.isArray(window.days) || !window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      throw new Error('Time window days must be an array of numbers from 0 (Sunday) to 6 (Saturday)');
+    }
+  }
+}
+
+/**
+ * Check whether a date falls inside a time window
+ * @param {Object} window - Time window
+ * @param {Date} date - Date to check (default: now)
+ * @returns {boolean}
+ */
+export function isWithinWindow(window, date = new Date()) {
+  const start = parseTimeOfDay(window.start);
+  const end = parseTimeOfDay(window.end);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  const startsOn = (weekday) => !window.days || window.days.includes(weekday);
+
+  if (start === end) {
+    return startsOn(day);
+  }
+
+  if (start < end) {
+    return startsOn(day) && minutes >= start && minutes < end;
+  }
+
+  // Overnight window: the part after midnight belongs to the previous day's window
+  if (minutes >= start) {
+    return startsOn(day);
+  }
+  return minutes < end && startsOn((day + 6) % 7);
+}
+
+/**
+ * Find the first window that contains a date
+ * @param {Array<Object>} windows - Time windows
+ * @param {Date} date - Date to check (default: now)
+ * @returns {Object|null} Matching window or null
+ */
+export function findActiveWindow(windows, date = new Date()) {
+  return (windows || []).find(window => isWithinWindow(window, date)) || null;
+}
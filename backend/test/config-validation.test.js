@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateTransferWindows, validateRsyncSettings, validateTransferConfig } from '../src/utils/config-validation.js';
+
+test('validateTransferWindows accepts valid schedules, quiet hours and windows', () => {
+  assert.equal(validateTransferWindows(undefined), null);
+  assert.equal(validateTransferWindows({
+    bandwidth: { schedule: [{ start: '08:00', end: '18:00', limitKBps: 500 }] },
+    quietHours: [{ start: '02:00', end: '04:00' }],
+    windows: { night: { days: [1, 2, 3], start: '22:00', end: '06:00' } }
+  }), null);
+});
+
+test('validateTransferWindows names the group with a bad window', () => {
+  assert.match(validateTransferWindows({ quietHours: [{ start: '25:00', end: '06:00' }] }), /^Invalid quiet hours: Invalid time of day: 25:00/);
+  assert.match(validateTransferWindows({ bandwidth: { schedule: { start: '08:00' } } }), /^Invalid bandwidth schedule: expected a list/);
+  assert.match(validateTransferWindows({ windows: { night: { days: [9], start: '22:00', end: '06:00' } } }), /^Invalid transfer windows/);
+});
+
+test('validateRsyncSettings checks profiles and the names that refer to them', () => {
+  assert.equal(validateRsyncSettings({ rsyncProfiles: { fast: '-av' }, rsyncProfile: 'fast', pairs: { 'a->b': { rsyncProfile: 'lan' } } }), null);
+  assert.match(validateRsyncSettings({ rsyncOptions: '-av --delete' }), /^Invalid rsync options: Option not allowed: --delete/);
+  assert.equal(validateRsyncSettings({ rsyncProfile: 'missing' }), 'Default rsync profile does not exist: missing');
+  assert.equal(validateRsyncSettings({ pairs: { 'a->b': { rsyncProfile: 'missing' } } }), 'a->b: rsync profile does not exist: missing');
+});
+
+test('validateTransferConfig reports the first problem of either kind', () => {
+  assert.equal(validateTransferConfig({}), null);
+  assert.match(validateTransferConfig({ quietHours: [{ start: '1:00', end: 'noon' }] }), /^Invalid quiet hours/);
+  assert.match(validateTransferConfig({ rsyncProfile: 'missing', quietHours: [{ start: '1:00', end: 'noon' }] }), /does not exist/);
+});
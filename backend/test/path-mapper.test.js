@@ -0,0 +1,100 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import pathMapper from '../src/services/path-mapper.js';
+
+const sourceServer = { mediaPaths: { movies: '/mnt/movies', tv: '/mnt/tv' } };
+const destServer = { mediaPaths: { movies: '/media/movies', tv: '/media/tv', root: '/media' } };
+
+beforeEach(() => {
+  pathMapper.setConfig({});
+});
+
+test('validateRules accepts prefix and regex rules', () => {
+  assert.equal(pathMapper.validateRules(undefined), null);
+  assert.equal(pathMapper.validateRules([
+    { prefix: '/mnt/movies/4K', target: '/media4k/movies' },
+    { regex: '^/mnt/tv/([^/]+)/(.*)$', flags: 'i', target: '/tv/$1/$2' }
+  ]), null);
+});
+
+test('validateRules reports the first broken rule', () => {
+  assert.equal(pathMapper.validateRules({}), 'pathRules must be an array');
+  assert.equal(pathMapper.validateRules([null]), 'Path rule 1 must be an object');
+  assert.equal(pathMapper.validateRules([{ prefix: '/a', target: 'relative' }]), 'Path rule 1 needs an absolute target path');
+  assert.equal(pathMapper.validateRules([{ target: '/a' }]), 'Path rule 1 needs either a prefix or a regex');
+  assert.equal(pathMapper.validateRules([{ prefix: '/a', regex: 'a', target: '/b' }]), 'Path rule 1 needs either a prefix or a regex');
+  assert.equal(pathMapper.validateRules([{ prefix: 'a', target: '/b' }]), 'Path rule 1 needs an absolute prefix');
+  assert.match(pathMapper.validateRules([{ prefix: '/a', target: '/b' }, { regex: '(', target: '/b' }]), /^Path rule 2 has an invalid regex/);
+});
+
+test('mapPath replaces a matching prefix on whole folder names only', () => {
+  const rules = [{ prefix: '/mnt/movies/4K/', target: '/media4k/movies' }];
+
+  assert.deepEqual(pathMapper.mapPath('/mnt/movies/4K/Dune (2021)/Dune.mkv', sourceServer, destServer, rules), {
+    sourcePath: '/mnt/movies/4K/Dune (2021)/Dune.mkv',
+    destPath: '/media4k/movies/Dune (2021)/Dune.mkv',
+    rule: 0,
+    type: 'prefix'
+  });
+  assert.equal(pathMapper.mapPath('/mnt/movies/4KHDR/x.mkv', sourceServer, destServer, rules).type, 'media-paths');
+});
+
+test('mapPath fills regex targets with the captured groups', () => {
+  const rules = [{ regex: '^/mnt/tv/([^/]+)/Season (\\d+)/(.*)$', flags: 'i', target: '/shows/$1/S$2/$3' }];
+  const mapping = pathMapper.mapPath('/MNT/TV/Andor/Season 2/e01.mkv', sourceServer, destServer, rules);
+
+  assert.equal(mapping.destPath, '/shows/Andor/S2/e01.mkv');
+  assert.equal(mapping.type, 'regex');
+});
+
+test('mapPath uses the first matching rule', () => {
+  const rules = [
+    { prefix: '/mnt/movies/kids', target: '/kids' },
+    { prefix: '/mnt/movies', target: '/films' }
+  ];
+
+  assert.equal(pathMapper.mapPath('/mnt/movies/kids/Up.mkv', sourceServer, destServer, rules).rule, 0);
+  assert.equal(pathMapper.mapPath('/mnt/movies/Heat.mkv', sourceServer, destServer, rules).destPath, '/films/Heat.mkv');
+});
+
+test('mapPath falls back to the media paths of both servers', () => {
+  assert.deepEqual(pathMapper.mapPath('/mnt/tv/Andor/e01.mkv', sourceServer, destServer), {
+    sourcePath: '/mnt/tv/Andor/e01.mkv',
+    destPath: '/media/tv/Andor/e01.mkv',
+    rule: null,
+    type: 'media-paths'
+  });
+  assert.equal(pathMapper.mapPath('/elsewhere/clip.mkv', sourceServer, destServer).destPath, '/media/clip.mkv');
+});
+
+test('normalize collapses slashes and drops a trailing one', () => {
+  assert.equal(pathMapper.normalize('//media//movies/'), '/media/movies');
+  assert.equal(pathMapper.normalize('/'), '/');
+});
+
+test('setConfig caches only the regexes of the configured rules', () => {
+  pathMapper.setConfig({
+    transfer: {
+      pairs: {
+        'server1->server2': { pathRules: [{ regex: '^/mnt/(.*)$', flags: 'g', target: '/media/$1' }] },
+        'server2->server1': { pathRules: [{ regex: '(', target: '/broken' }] }
+      }
+    }
+  });
+  assert.equal(pathMapper.regexCache.size, 1);
+
+  pathMapper.validateRules([{ regex: '^/other/(.*)$', target: '/o/$1' }]);
+  pathMapper.mapPath('/other/x.mkv', sourceServer, destServer, [{ regex: '^/other/(.*)$', target: '/o/$1' }]);
+  assert.equal(pathMapper.regexCache.size, 1);
+
+  pathMapper.setConfig({});
+  assert.equal(pathMapper.regexCache.size, 0);
+});
+
+test('regex rules map repeatedly despite a g flag', () => {
+  const rules = [{ regex: '^/mnt/(.*)$', flags: 'g', target: '/media/$1' }];
+  pathMapper.setConfig({ transfer: { pairs: { 'a->b': { pathRules: rules } } } });
+
+  assert.equal(pathMapper.mapPath('/mnt/a.mkv', sourceServer, destServer, rules).destPath, '/media/a.mkv');
+  assert.equal(pathMapper.mapPath('/mnt/b.mkv', sourceServer, destServer, rules).destPath, '/media/b.mkv');
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RSYNC_PROFILES, parseRsyncOptions, validateRsyncProfiles } from '../src/utils/rsync-options.js';
+
+test('parseRsyncOptions accepts strings and arrays of allowlisted options', () => {
+  assert.deepEqual(parseRsyncOptions('-av  --whole-file'), ['-av', '--whole-file']);
+  assert.deepEqual(parseRsyncOptions(['-avz', '--compress-level=9 --timeout=300']), ['-avz', '--compress-level=9', '--timeout=300']);
+  assert.deepEqual(parseRsyncOptions('--chmod=Du+rwx,Fu+rw'), ['--chmod=Du+rwx,Fu+rw']);
+  assert.deepEqual(parseRsyncOptions(''), []);
+  assert.deepEqual(parseRsyncOptions(undefined), []);
+});
+
+test('parseRsyncOptions drops the options the transfer code always adds', () => {
+  assert.deepEqual(parseRsyncOptions('-avz --progress -P --partial --stats'), ['-avz']);
+});
+
+test('parseRsyncOptions rejects options outside the allowlist', () => {
+  assert.throws(() => parseRsyncOptions('-av --remove-source-files'), /Option not allowed: --remove-source-files/);
+  assert.throws(() => parseRsyncOptions('--delete'), /Option not allowed: --delete/);
+  assert.throws(() => parseRsyncOptions('--bwlimit=1000'), /Option not allowed: --bwlimit=1000/);
+  assert.throws(() => parseRsyncOptions('--rsh=sh'), /Option not allowed/);
+});
+
+test('parseRsyncOptions rejects disallowed letters in combined short options', () => {
+  assert.throws(() => parseRsyncOptions('-avze'), /Option not allowed: -e \(in -avze\)/);
+  assert.throws(() => parseRsyncOptions('-aqn'), /Option not allowed: -qn/);
+});
+
+test('parseRsyncOptions rejects shell syntax and bad values', () => {
+  assert.throws(() => parseRsyncOptions('-av;rm'), /Option not allowed/);
+  assert.throws(() => parseRsyncOptions('$(reboot)'), /Option not allowed/);
+  assert.throws(() => parseRsyncOptions('--timeout=30;reboot'), /Invalid value for --timeout/);
+  assert.throws(() => parseRsyncOptions('--compress-level'), /Invalid value for --compress-level: \(none\)/);
+  assert.throws(() => parseRsyncOptions('--chmod=$(id)'), /Invalid value for --chmod/);
+});
+
+test('parseRsyncOptions rejects values that are not strings or arrays', () => {
+  assert.throws(() => parseRsyncOptions(42), /must be a string or an array/);
+  assert.throws(() => parseRsyncOptions({ flags: '-av' }), /must be a string or an array/);
+});
+
+test('the built-in profiles pass the allowlist', () => {
+  assert.doesNotThrow(() => validateRsyncProfiles(DEFAULT_RSYNC_PROFILES));
+});
+
+test('validateRsyncProfiles names the profile with a bad option or name', () => {
+  assert.doesNotThrow(() => validateRsyncProfiles(undefined));
+  assert.throws(() => validateRsyncProfiles(['-av']), /must be an object/);
+  assert.throws(() => validateRsyncProfiles({ 'bad name': '-av' }), /Invalid rsync profile name: bad name/);
+  assert.throws(() => validateRsyncProfiles({ fast: '-av', risky: '-av --delete' }), /rsync profile "risky": Option not allowed: --delete/);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTimeOfDay, validateWindow, isWithinWindow, findActiveWindow } from '../src/utils/time-windows.js';
+
+// Local times in the week of Monday 5 January 2026
+const at = (day, hours, minutes = 0) => new Date(2026, 0, 4 + day, hours, minutes);
+
+test('parseTimeOfDay converts HH:MM to minutes after midnight', () => {
+  assert.equal(parseTimeOfDay('00:00'), 0);
+  assert.equal(parseTimeOfDay('7:05'), 425);
+  assert.equal(parseTimeOfDay(' 23:59 '), 1439);
+});
+
+test('parseTimeOfDay rejects malformed and out of range times', () => {
+  for (const time of ['24:00', '12:60', '1200', '12:5', '', undefined]) {
+    assert.throws(() => parseTimeOfDay(time), /Invalid time of day/);
+  }
+});
+
+test('validateWindow checks times and days', () => {
+  assert.doesNotThrow(() => validateWindow({ start: '18:00', end: '23:00' }));
+  assert.doesNotThrow(() => validateWindow({ days: [0, 6], start: '00:00', end: '00:00' }));
+  assert.throws(() => validateWindow(null), /must be an object/);
+  assert.throws(() => validateWindow({ start: '18:00' }), /Invalid time of day/);
+  assert.throws(() => validateWindow({ days: [7], start: '18:00', end: '23:00' }), /days must be an array/);
+  assert.throws(() => validateWindow({ days: 'weekdays', start: '18:00', end: '23:00' }), /days must be an array/);
+});
+
+test('isWithinWindow includes the start and excludes the end of a same-day window', () => {
+  const window = { start: '18:00', end: '23:00' };
+  assert.equal(isWithinWindow(window, at(1, 17, 59)), false);
+  assert.equal(isWithinWindow(window, at(1, 18, 0)), true);
+  assert.equal(isWithinWindow(window, at(1, 22, 59)), true);
+  assert.equal(isWithinWindow(window, at(1, 23, 0)), false);
+});
+
+test('isWithinWindow only matches the listed days', () => {
+  const weekdays = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+  assert.equal(isWithinWindow(weekdays, at(1, 12)), true);
+  assert.equal(isWithinWindow(weekdays, at(6, 12)), false);
+  assert.equal(isWithinWindow(weekdays, at(0, 12)), false);
+});
+
+test('isWithinWindow assigns the hours after midnight to the previous day of an overnight window', () => {
+  const fridayNight = { days: [5], start: '22:00', end: '06:00' };
+  assert.equal(isWithinWindow(fridayNight, at(5, 23)), true);
+  assert.equal(isWithinWindow(fridayNight, at(6, 5, 59)), true);
+  assert.equal(isWithinWindow(fridayNight, at(6, 6)), false);
+  assert.equal(isWithinWindow(fridayNight, at(5, 5)), false);
+  assert.equal(isWithinWindow(fridayNight, at(6, 23)), false);
+});
+
+test('isWithinWindow treats a start equal to the end as the whole day', () => {
+  const sunday = { days: [0], start: '00:00', end: '00:00' };
+  assert.equal(isWithinWindow(sunday, at(0, 0)), true);
+  assert.equal(isWithinWindow(sunday, at(0, 23, 59)), true);
+  assert.equal(isWithinWindow(sunday, at(1, 0)), false);
+});
+
+test('findActiveWindow returns the first matching window or null', () => {
+  const evening = { start: '18:00', end: '23:00', limitKBps: 1000 };
+  const late = { start: '20:00', end: '02:00', limitKBps: 500 };
+  assert.equal(findActiveWindow([evening, late], at(1, 21)), evening);
+  assert.equal(findActiveWindow([evening, late], at(2, 1)), late);
+  assert.equal(findActiveWindow([evening, late], at(2, 12)), null);
+  assert.equal(findActiveWindow(undefined, at(2, 12)), null);
+});
@@ -0,0 +1,398 @@
+import { test, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import sshManager from '../src/services/ssh-manager.js';
+import transferStore from '../src/services/transfer-store.js';
+import transferManager from '../src/services/transfer-manager.js';
+
+const stateDir = mkdtempSync(join(tmpdir(), 'transfer-manager-test-'));
+transferStore.setFilePath(join(stateDir, 'transfers.json'));
+
+const sourceServer = { id: 'source', name: 'Source' };
+const destServer = { id: 'dest', name: 'Destination' };
+
+const baseConfig = {
+  servers: [sourceServer, destServer],
+  transfer: {
+    cancelCleanup: 'delete',
+    sidecars: { enabled: false },
+    spaceCheck: { enabled: false },
+    plexScan: { enabled: false }
+  }
+};
+
+let nextId = 0;
+
+// Add a single-file transfer to the manager, queued unless overridden
+function addTransfer(overrides = {}) {
+  const transfer = {
+    id: `transfer-${++nextId}`,
+    batchId: null,
+    kind: 'file',
+    sourceServerId: sourceServer.id,
+    destServerId: destServer.id,
+    sourcePath: '/mnt/movies/Movie (2020)/Movie (2020).mkv',
+    destPath: '/media/movies/Movie (2020)/Movie (2020).mkv',
+    filename: 'Movie (2020).mkv',
+    size: 1000,
+    failedFiles: [],
+    sidecars: [],
+    priority: 'normal',
+    mode: 'copy',
+    conflictPolicy: 'overwrite',
+    conflict: { policy: 'overwrite', action: 'none', existingSize: null, reason: null, resolvedAt: Date.now() },
+    attempts: [],
+    autoRetries: 0,
+    nextAttemptAt: null,
+    scheduledFor: null,
+    window: null,
+    verify: false,
+    verification: null,
+    status: 'queued',
+    lastProgressAt: null,
+    destWritten: false,
+    progress: { percentage: 0, transferred: 0, totalBytes: 1000 },
+    createdAt: Date.now(),
+    startedAt: null,
+    completedAt: null,
+    error: null,
+    ...overrides
+  };
+
+  transferManager.transfers.set(transfer.id, transfer);
+  if (transfer.status === 'queued') {
+    transferManager.queue.push(transfer.id);
+  }
+  return transfer;
+}
+
+// Stub rsync: every copy reports a PID and runs until it is resolved, rejected or killed.
+// Returns the running copies ({ resolve, reject, options }), oldest first.
+function mockRsync() {
+  const copies = [];
+
+  mock.method(sshManager, 'runTransfer', (source, dest, sourcePath, destPath, progressCallback, options) => new Promise((resolve, reject) => {
+    const copy = { resolve, reject, options };
+    copies.push(copy);
+    options.onStart({ pid: 4242, server: source, close: () => reject(new Error('channel closed')) });
+  }));
+
+  mock.method(sshManager, 'cancelTransfer', async () => {
+    const error = new Error('rsync failed with exit code 20: received SIGTERM');
+    error.exitCode = 20;
+    copies.shift()?.reject(error);
+  });
+
+  return copies;
+}
+
+// Let the manager's asynchronous steps run until a condition holds
+async function waitFor(condition) {
+  for (let i = 0; i < 1000 && !condition(); i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  assert.ok(condition(), 'condition not reached');
+}
+
+beforeEach(() => {
+  transferManager.setConfig(baseConfig);
+  transferManager.transfers.clear();
+  transferManager.batches.clear();
+  transferManager.queue = [];
+  transferManager.activeTransfers.clear();
+  transferManager.processes.clear();
+  transferManager.runs.clear();
+  transferManager.runAborts.clear();
+  transferManager.logs.clear();
+  transferManager.queuePaused = false;
+
+  mock.method(sshManager, 'removePartialFile', async () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+after(() => {
+  transferStore.flush();
+  rmSync(stateDir, { recursive: true, force: true });
+});
+
+test('cancelling a queued transfer takes it out of the queue without touching the destination', async () => {
+  const transfer = addTransfer();
+
+  assert.equal(await transferManager.cancelTransfer(transfer.id, sourceServer), true);
+
+  assert.equal(transfer.status, 'cancelled');
+  assert.ok(transfer.completedAt);
+  assert.deepEqual(transferManager.queue, []);
+  assert.equal(sshManager.removePartialFile.mock.callCount(), 0);
+});
+
+test('cancelling an active transfer before rsync starts keeps an existing destination file', async () => {
+  // The conflict check finds a file at the destination and then hangs
+  mock.method(sshManager, 'pathExists', async () => true);
+  mock.method(sshManager, 'getFileInfo', () => new Promise(() => {}));
+  const copies = mockRsync();
+  const transfer = addTransfer({ conflict: null });
+
+  transferManager.processQueue();
+  assert.equal(transfer.status, 'active');
+
+  assert.equal(await transferManager.cancelTransfer(transfer.id, sourceServer), true);
+
+  assert.equal(transfer.status, 'cancelled');
+  assert.equal(transfer.destWritten, false);
+  assert.equal(copies.length, 0);
+  assert.equal(sshManager.removePartialFile.mock.callCount(), 0);
+  assert.equal(transferManager.activeTransfers.size, 0);
+  assert.equal(transfer.attempts.at(-1).outcome, 'cancelled');
+});
+
+test('cancelling a running copy kills rsync and removes the partial file', async () => {
+  const copies = mockRsync();
+  const transfer = addTransfer();
+
+  transferManager.processQueue();
+  await waitFor(() => copies.length === 1);
+
+  assert.equal(await transferManager.cancelTransfer(transfer.id, sourceServer), true);
+
+  assert.equal(transfer.status, 'cancelled');
+  assert.equal(sshManager.cancelTransfer.mock.callCount(), 1);
+  assert.deepEqual(sshManager.removePartialFile.mock.calls[0].arguments, [destServer, transfer.destPath]);
+  assert.equal(transfer.destWritten, false);
+});
+
+test('cancelling with cleanup "keep" leaves the partial file', async () => {
+  const copies = mockRsync();
+  const transfer = addTransfer();
+
+  transferManager.processQueue();
+  await waitFor(() => copies.length === 1);
+
+  assert.equal(await transferManager.cancelTransfer(transfer.id, sourceServer, { cleanup: 'keep' }), true);
+
+  assert.equal(transfer.status, 'cancelled');
+  assert.equal(sshManager.removePartialFile.mock.callCount(), 0);
+});
+
+test('cancelling a transfer paused while queued keeps an existing destination file', async () => {
+  const transfer = addTransfer();
+
+  assert.equal(await transferManager.pauseTransfer(transfer.id), true);
+  assert.equal(transfer.status, 'paused');
+  assert.deepEqual(transferManager.queue, []);
+
+  assert.equal(await transferManager.cancelTransfer(transfer.id, sourceServer), true);
+
+  assert.equal(transfer.status, 'cancelled');
+  assert.equal(sshManager.removePartialFile.mock.callCount(), 0);
+});
+
+test('cancelling a transfer paused mid-copy removes its partial file', async () => {
+  const copies = mockRsync();
+  const transfer = addTransfer();
+
+  transferManager.processQueue();
+  await waitFor(() => copies.length === 1);
+  assert.equal(await transferManager.pauseTransfer(transfer.id), true);
+
+  assert.equal(await transferManager.cancelTransfer(transfer.id, sourceServer), true);
+
+  assert.equal(transfer.status, 'cancelled');
+  assert.deepEqual(sshManager.removePartialFile.mock.calls[0].arguments, [destServer, transfer.destPath]);
+});
+
+test('pausing a running copy keeps the partial file and resuming starts it again', async () => {
+  const copies = mockRsync();
+  const transfer = addTransfer();
+
+  transferManager.processQueue();
+  await waitFor(() => copies.length === 1);
+
+  assert.equal(await transferManager.pauseTransfer(transfer.id), true);
+
+  assert.equal(transfer.status, 'paused');
+  assert.equal(transfer.pausedBy, 'user');
+  assert.equal(transfer.abortRequested, null);
+  assert.equal(transfer.attempts.at(-1).outcome, 'paused');
+  assert.equal(sshManager.removePartialFile.mock.callCount(), 0);
+  assert.equal(transferManager.activeTransfers.size, 0);
+
+  assert.equal(transferManager.resumeTransfer(transfer.id), true);
+  assert.equal(transfer.status, 'active');
+  await waitFor(() => copies.length === 1);
+
+  copies.shift().resolve({ success: true, stats: null });
+  await waitFor(() => transfer.status === 'completed');
+
+  assert.equal(sshManager.runTransfer.mock.callCount(), 2);
+  assert.deepEqual(transfer.attempts.map(attempt => attempt.outcome), ['paused', 'completed']);
+});
+
+test('resuming only applies to paused transfers', async () => {
+  const transfer = addTransfer();
+
+  assert.equal(transferManager.resumeTransfer(transfer.id), false);
+  assert.throws(() => transferManager.resumeTransfer('missing'), /Transfer not found/);
+});
+
+test('transient failures are retried with exponential backoff until the attempts run out', async () => {
+  transferManager.setConfig({
+    ...baseConfig,
+    transfer: { ...baseConfig.transfer, retry: { maxAttempts: 3, initialDelayMs: 1000, backoffMultiplier: 2, maxDelayMs: 60000 } }
+  });
+  mock.method(transferManager, 'scheduleQueueCheck', () => {});
+  const copies = mockRsync();
+  const transfer = addTransfer();
+
+  // rsync exit code 23: partial transfer due to an error
+  const fail = async () => {
+    await waitFor(() => copies.length === 1);
+    const error = new Error('rsync failed with exit code 23');
+    error.exitCode = 23;
+    copies.shift().reject(error);
+    await waitFor(() => transfer.status !== 'active');
+  };
+
+  transferManager.processQueue();
+  let before = Date.now();
+  await fail();
+
+  assert.equal(transfer.status, 'queued');
+  assert.equal(transfer.autoRetries, 1);
+  assert.ok(transfer.nextAttemptAt >= before + 1000 && transfer.nextAttemptAt <= Date.now() + 1000);
+  assert.deepEqual(transferManager.queue, [transfer.id]);
+  assert.deepEqual(transferManager.scheduleQueueCheck.mock.calls[0].arguments, [transfer.nextAttemptAt]);
+
+  // Held back until the backoff has expired
+  transferManager.processQueue();
+  assert.equal(transfer.status, 'queued');
+
+  transfer.nextAttemptAt = Date.now() - 1;
+  transferManager.processQueue();
+  before = Date.now();
+  await fail();
+
+  assert.equal(transfer.status, 'queued');
+  assert.equal(transfer.autoRetries, 2);
+  assert.ok(transfer.nextAttemptAt >= before + 2000 && transfer.nextAttemptAt <= Date.now() + 2000);
+
+  transfer.nextAttemptAt = Date.now() - 1;
+  transferManager.processQueue();
+  await fail();
+
+  assert.equal(transfer.status, 'failed');
+  assert.equal(transfer.error, 'rsync failed with exit code 23');
+  assert.deepEqual(transfer.attempts.map(attempt => attempt.exitCode), [23, 23, 23]);
+  assert.deepEqual(transferManager.queue, []);
+});
+
+test('failures with other exit codes are not retried', async () => {
+  mock.method(transferManager, 'scheduleQueueCheck', () => {});
+  const copies = mockRsync();
+  const transfer = addTransfer();
+
+  transferManager.processQueue();
+  await waitFor(() => copies.length === 1);
+  const error = new Error('rsync failed with exit code 3');
+  error.exitCode = 3;
+  copies.shift().reject(error);
+  await waitFor(() => transfer.status !== 'active');
+
+  assert.equal(transfer.status, 'failed');
+  assert.equal(transfer.autoRetries, 0);
+  assert.equal(transferManager.scheduleQueueCheck.mock.callCount(), 0);
+});
+
+test('retry delays are capped at maxDelayMs', () => {
+  transferManager.setConfig({
+    ...baseConfig,
+    transfer: { ...baseConfig.transfer, retry: { maxAttempts: 10, initialDelayMs: 1000, backoffMultiplier: 10, maxDelayMs: 5000 } }
+  });
+  mock.method(transferManager, 'scheduleQueueCheck', () => {});
+  const transfer = addTransfer({ status: 'failed', autoRetries: 3 });
+  const error = new Error('Connection reset');
+  error.retryable = true;
+
+  const before = Date.now();
+  assert.equal(transferManager.scheduleRetry(transfer, error), true);
+
+  assert.equal(transfer.status, 'queued');
+  assert.equal(transfer.autoRetries, 4);
+  assert.ok(transfer.nextAttemptAt >= before + 5000 && transfer.nextAttemptAt <= Date.now() + 5000);
+});
+
+test('a transfer being cancelled is never retried', () => {
+  mock.method(transferManager, 'scheduleQueueCheck', () => {});
+  const transfer = addTransfer({ status: 'active', abortRequested: 'cancel' });
+  const error = new Error('rsync failed with exit code 23');
+  error.exitCode = 23;
+
+  assert.equal(transferManager.scheduleRetry(transfer, error), false);
+  assert.equal(transfer.status, 'active');
+  assert.deepEqual(transferManager.queue, []);
+});
+
+// Stub the checksum commands so they only end when the run's signal kills them
+function mockHangingChecksums() {
+  const killed = [];
+
+  mock.method(sshManager, 'getChecksumAlgorithms', async () => ['sha256']);
+  mock.method(sshManager, 'computeChecksum', (server, filePath, algorithm, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      killed.push(server.id);
+      reject(signal.reason);
+    }, { once: true });
+  }));
+
+  return killed;
+}
+
+test('a verification that outlasts the stall timeout plus its size budget is stopped and retried', async () => {
+  mock.method(transferManager, 'scheduleQueueCheck', () => {});
+  const copies = mockRsync();
+  const killed = mockHangingChecksums();
+  const transfer = addTransfer({ verify: true });
+
+  transferManager.processQueue();
+  await waitFor(() => copies.length === 1);
+  copies.shift().resolve({ success: true, stats: null });
+  await waitFor(() => transfer.status === 'verifying');
+
+  // 300s stall timeout plus 1s for the file's checksums
+  const run = transferManager.runs.get(transfer.id);
+  transfer.lastProgressAt = Date.now() - 302 * 1000;
+  transferManager.checkStalledTransfers();
+  await run;
+
+  assert.equal(transfer.status, 'queued');
+  assert.equal(transfer.abortRequested, null);
+  assert.equal(transfer.verification, null);
+  assert.equal(transfer.attempts.at(-1).outcome, 'stalled');
+  assert.deepEqual(killed.sort(), ['dest', 'source']);
+  assert.equal(transferManager.runAborts.size, 0);
+});
+
+test('a large file gets time to be checksummed before its verification counts as stalled', async () => {
+  const copies = mockRsync();
+  mockHangingChecksums();
+  const transfer = addTransfer({ verify: true, size: 100 * 1024 * 1024 * 1024 });
+
+  transferManager.processQueue();
+  await waitFor(() => copies.length === 1);
+  copies.shift().resolve({ success: true, stats: null });
+  await waitFor(() => transfer.status === 'verifying');
+
+  // 100 GB at 20 MB/s adds 5120s to the stall timeout
+  transfer.lastProgressAt = Date.now() - 3600 * 1000;
+  transferManager.checkStalledTransfers();
+
+  assert.ok(!transfer.abortRequested);
+  assert.equal(transfer.status, 'verifying');
+
+  assert.equal(await transferManager.cancelTransfer(transfer.id, sourceServer), true);
+});
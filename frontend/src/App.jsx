@@ -4,9 +4,13 @@ import DuplicateFinder from './components/DuplicateFinder.jsx';
 import RecentlyAdded from './components/RecentlyAdded.jsx';
 import ServerSelector from './components/ServerSelector.jsx';
 import Settings from './components/Settings.jsx';
+import TransferLog from './components/TransferLog.jsx';
 import apiService from './services/api.js';
 import websocketService from './services/websocket.js';
 
+// Transfers in these states still move on their own; anything else waits for the user or is done
+const RUNNING_STATUSES = ['queued', 'active', 'verifying'];
+
 function App() {
   const [backendStatus, setBackendStatus] = useState('checking');
   const [servers, setServers] = useState([]);
@@ -22,6 +26,7 @@ function App() {
   });
   const [recentMovies, setRecentMovies] = useState([]);
   const [selectedMovies, setSelectedMovies] = useState(new Set());
+  const [selectedVersions, setSelectedVersions] = useState(new Map()); // movie ID -> Plex media ID
   const [visibleMovies, setVisibleMovies] = useState(36);
   const [recentEpisodes, setRecentEpisodes] = useState([]);
   const [selectedEpisodes, setSelectedEpisodes] = useState(new Set());
@@ -35,7 +40,9 @@ function App() {
   const [activeTab, setActiveTab] = useState('movies'); // 'movies', 'tv', 'search', or 'settings'
   const [activeTransfers, setActiveTransfers] = useState(new Map());
   const [transferHistory, setTransferHistory] = useState([]);
-  const [currentBatch, setCurrentBatch] = useState({ total: 0, completed: 0, size: 0 });
+  const [batches, setBatches] = useState(new Map());
+  const [queuePaused, setQueuePaused] = useState(false);
+  const [logTransferId, setLogTransferId] = useState(null); // Transfer whose log is shown
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
@@ -49,25 +56,31 @@ function App() {
     websocketService.on('transfer:update', (transfer) => {
       console.log('📡 Transfer update:', transfer);
       setActiveTransfers(prev => {
+        if (!prev.has(transfer.id) && !RUNNING_STATUSES.includes(transfer.status)) {
+          // Late update for a finished transfer (e.g. Plex scan state), refresh it in history only
+          setTransferHistory(history => history.map(t => t.id === transfer.id ? transfer : t));
+          return prev;
+        }
+
+        if (!prev.has(transfer.id)) {
+          // A paused, scheduled or retried transfer from the history is running again
+          setTransferHistory(history => history.filter(t => t.id !== transfer.id));
+        }
+
         const newMap = new Map(prev);
         newMap.set(transfer.id, transfer);
 
-        // Check if all transfers are complete (including skipped)
+        // Check if nothing is running any more (paused, scheduled and cancelled transfers included)
         const allTransfers = Array.from(newMap.values());
-        const allComplete = allTransfers.every(t =>
-          t.status === 'completed' || t.status === 'failed' || t.status === 'skipped'
-        );
+        const allComplete = allTransfers.every(t => !RUNNING_STATUSES.includes(t.status));
 
         if (allComplete) {
-          // Move all completed transfers to history
-          const completedTransfers = allTransfers.filter(t =>
-            t.status === 'completed' || t.status === 'failed' || t.status === 'skipped'
-          );
-          setTransferHistory(prev => [...completedTransfers, ...prev.slice(0, 9)]); // Keep last 10
+          // Move all transfers to history, where paused ones can still be resumed
+          setTransferHistory(prev => [...allTransfers, ...prev.filter(t => !newMap.has(t.id)).slice(0, 9)]); // Keep last 10
 
           // Update file existence status for successfully transferred files
           console.log('🔄 Updating file existence status after transfer completion');
-          updateTransferredFilesExistence(completedTransfers.filter(t => t.status === 'completed')).catch(error => {
+          updateTransferredFilesExistence(allTransfers.filter(t => t.status === 'completed')).catch(error => {
             console.error('❌ Failed to update file existence status:', error);
             // Don't show alert for this error as it's not critical to the transfer process
           });
@@ -105,6 +118,35 @@ function App() {
       });
     });
 
+    websocketService.on('transfer:verify', (data) => {
+      console.log(`🔐 Transfer verification (${data.verification?.status}):`, data);
+      setActiveTransfers(prev => {
+        const newMap = new Map(prev);
+        const transfer = newMap.get(data.id);
+        if (transfer) {
+          newMap.set(data.id, { ...transfer, verification: data.verification });
+        }
+        return newMap;
+      });
+    });
+
+    websocketService.on('queue:update', (queue) => {
+      console.log('📡 Queue update:', queue);
+      setQueuePaused(queue.paused);
+    });
+
+    websocketService.on('batches:initial', (initialBatches) => {
+      setBatches(new Map(initialBatches.map(batch => [batch.id, batch])));
+    });
+
+    websocketService.on('batch:update', (batch) => {
+      setBatches(prev => {
+        const newMap = new Map(prev);
+        newMap.set(batch.id, batch);
+        return newMap;
+      });
+    });
+
     websocketService.on('transfer:complete', (data) => {
       console.log('✅ Transfer complete:', data);
       // Transfer will be moved to history by the update event
@@ -120,6 +162,10 @@ function App() {
       websocketService.off('transfer:progress');
       websocketService.off('transfer:complete');
       websocketService.off('transfer:error');
+      websocketService.off('queue:update');
+      websocketService.off('transfer:verify');
+      websocketService.off('batches:initial');
+      websocketService.off('batch:update');
     };
   }, []);
 
@@ -220,12 +266,12 @@ function App() {
       console.log('📽️ Received', movies.length, 'movies from API');
 
       // Check which movies already exist on destination server (server2)
+      const destPaths = await mapPathsToDestination(movies.map(movie => movie.filePath), serverId);
       const moviesWithExistence = await Promise.all(
         movies.map(async (movie) => {
           try {
             // Map the source path to destination path for checking
-            const sourcePath = movie.filePath;
-            const destPath = mapPathToDestination(sourcePath);
+            const destPath = getDestinationPath(destPaths, movie.filePath);
             const existenceCheck = await apiService.checkFileExists(frontendConfig.defaultDestServer, destPath);
             return {
               ...movie,
@@ -261,12 +307,12 @@ function App() {
       const episodes = await apiService.getRecentEpisodes(serverId, 50); // Load more episodes for pagination
 
       // Check which episodes already exist on destination server (server2)
+      const destPaths = await mapPathsToDestination(episodes.map(episode => episode.filePath), serverId);
       const episodesWithExistence = await Promise.all(
         episodes.map(async (episode) => {
           try {
             // Map the source path to destination path for checking
-            const sourcePath = episode.filePath;
-            const destPath = mapPathToDestination(sourcePath);
+            const destPath = getDestinationPath(destPaths, episode.filePath);
             const existenceCheck = await apiService.checkFileExists(frontendConfig.defaultDestServer, destPath);
             return {
               ...episode,
@@ -293,52 +339,54 @@ function App() {
     }
   };
 
-  const mapPathToDestination = (sourcePath, sourceServerId = selectedServer, destServerId = frontendConfig.defaultDestServer) => {
-    const sourceServer = servers.find(s => s.id === sourceServerId);
-    const destServer = servers.find(s => s.id === destServerId);
-
-    if (!sourceServer || !destServer) {
-      console.warn('Server not found for path mapping');
-      return sourcePath;
+  // Destination paths come from the backend's path mapping rules for the server pair
+  const mapPathsToDestination = async (sourcePaths, sourceServerId = selectedServer, destServerId = frontendConfig.defaultDestServer) => {
+    const paths = [...new Set(sourcePaths.filter(Boolean))];
+    if (paths.length === 0) {
+      return new Map();
     }
 
-    // Determine media type and get relative path
-    let relativePath;
-    let mediaType;
-
-    // Check if path is in movies directory
-    if (sourceServer.mediaPaths?.movies && sourcePath.startsWith(sourceServer.mediaPaths.movies)) {
-      relativePath = sourcePath.replace(sourceServer.mediaPaths.movies, '').replace(/^\/+/, '');
-      mediaType = 'movies';
-    }
-    // Check if path is in TV directory
-    else if (sourceServer.mediaPaths?.tv && sourcePath.startsWith(sourceServer.mediaPaths.tv)) {
-      relativePath = sourcePath.replace(sourceServer.mediaPaths.tv, '').replace(/^\/+/, '');
-      mediaType = 'tv';
-    }
-    // Fallback to root path
-    else if (sourceServer.mediaPaths?.root && sourcePath.startsWith(sourceServer.mediaPaths.root)) {
-      relativePath = sourcePath.replace(sourceServer.mediaPaths.root, '').replace(/^\/+/, '');
-      mediaType = 'root';
+    try {
+      const response = await apiService.mapPaths(sourceServerId, destServerId, paths);
+      return new Map(response.mappings.map(mapping => [mapping.sourcePath, mapping.destPath]));
+    } catch (error) {
+      console.error('Failed to map paths to the destination:', error);
+      return new Map();
     }
-    // If no match, just use the filename
-    else {
-      const parts = sourcePath.split('/');
-      relativePath = parts[parts.length - 1];
-      mediaType = 'root';
+  };
+
+  // Look up the destination path of a file, failing if it could not be mapped
+  const getDestinationPath = (destPaths, sourcePath) => {
+    const destPath = destPaths.get(sourcePath);
+    if (!destPath) {
+      throw new Error(`No destination path for ${sourcePath}`);
     }
+    return destPath;
+  };
 
-    // Build destination path based on media type
-    let destBasePath;
-    if (mediaType === 'movies' && destServer.mediaPaths?.movies) {
-      destBasePath = destServer.mediaPaths.movies;
-    } else if (mediaType === 'tv' && destServer.mediaPaths?.tv) {
-      destBasePath = destServer.mediaPaths.tv;
-    } else {
-      destBasePath = destServer.mediaPaths?.root || destServer.mediaPaths?.movies || destServer.mediaPaths?.tv;
+  const formatVersionLabel = (media) => {
+    const resolution = media.videoResolution
+      ? (/^\d+$/.test(media.videoResolution) ? `${media.videoResolution}p` : media.videoResolution.toUpperCase())
+      : 'Unknown';
+    const codec = media.videoCodec ? ` ${media.videoCodec.toUpperCase()}` : '';
+    const parts = media.parts.length > 1 ? ` • ${media.parts.length} parts` : '';
+    return `${resolution}${codec} • ${(media.size / (1024 * 1024 * 1024)).toFixed(1)} GB${parts}`;
+  };
+
+  // Files to send for an item: every part of the chosen version (the first one by default)
+  const getItemFiles = (item, mediaId) => {
+    const media = item.media?.find(m => m.id === mediaId) || item.media?.[0];
+
+    if (!media || media.parts.length === 0) {
+      return [{ path: item.filePath, name: item.title, size: item.fileSize || 0, addedAt: item.addedAt }];
     }
 
-    return `${destBasePath}/${relativePath}`.replace(/\/+/g, '/');
+    return media.parts.map((part, index) => ({
+      path: part.file,
+      name: media.parts.length > 1 ? `${item.title} (part ${index + 1})` : item.title,
+      size: part.size || 0,
+      addedAt: item.addedAt
+    }));
   };
 
   const toggleMovieSelection = (movieId) => {
@@ -377,6 +425,10 @@ function App() {
       // A season is "complete" only if all its episodes exist
       // Check episodes sequentially to avoid SSH connection overload
       const seasonsWithExistence = [];
+      const destPaths = await mapPathsToDestination(
+        seasons.flatMap(season => season.episodes.map(episode => episode.filePath)),
+        serverId
+      );
       for (const season of seasons) {
         try {
           console.log(`Checking existence for season: ${season.showTitle} S${season.seasonNumber} (${season.episodes.length} episodes)`);
@@ -385,8 +437,7 @@ function App() {
           const episodeChecks = [];
           for (const episode of season.episodes) {
             try {
-              const sourcePath = episode.filePath;
-              const destPath = mapPathToDestination(sourcePath);
+              const destPath = getDestinationPath(destPaths, episode.filePath);
               const existenceCheck = await apiService.checkFileExists(frontendConfig.defaultDestServer, destPath);
               episodeChecks.push(existenceCheck.exists);
             } catch (error) {
@@ -472,46 +523,10 @@ function App() {
       const selectedMovieObjects = recentMovies.filter(movie => selectedMovies.has(movie.id));
       console.log('Selected movie objects:', selectedMovieObjects);
 
-      // Filter out movies that already exist on destination
-      const filesToTransfer = [];
-      let skippedCount = 0;
-      let errorCount = 0;
-
-      for (const movie of selectedMovieObjects) {
-        try {
-          const destPath = mapPathToDestination(movie.filePath);
-          console.log(`🔍 Checking existence: ${destPath}`);
-          const existenceCheck = await apiService.checkFileExists(frontendConfig.defaultDestServer, destPath);
-          console.log(`📁 ${movie.title}: exists = ${existenceCheck.exists}`);
-
-          if (!existenceCheck.exists) {
-            filesToTransfer.push({
-              path: movie.filePath,
-              name: movie.title,
-              size: movie.fileSize || 0
-            });
-          } else {
-            console.log(`⏭️ Skipping existing movie: ${movie.title}`);
-            skippedCount++;
-          }
-        } catch (error) {
-          console.error(`❌ Error checking existence for ${movie.title}:`, error);
-          // Exclude from transfer if we can't check existence (safer approach)
-          console.log(`⚠️ Excluding ${movie.title} from transfer due to check failure`);
-          errorCount++;
-        }
-      }
-
-      if (filesToTransfer.length === 0) {
-        alert('All selected movies already exist on the destination server.');
-        setSelectedMovies(new Set());
-        return;
-      }
-
-      // Show feedback about skipped files
-      if (skippedCount > 0) {
-        console.log(`ℹ️ Skipped ${skippedCount} existing movie(s), transferring ${filesToTransfer.length} file(s)`);
-      }
+      // Existing files are handled server-side according to the conflict policy
+      const filesToTransfer = selectedMovieObjects.flatMap(movie =>
+        getItemFiles(movie, selectedVersions.get(movie.id))
+      );
 
       // Create transfer
       const transferData = {
@@ -523,6 +538,9 @@ function App() {
       console.log('📤 Creating transfer:', transferData);
       const response = await apiService.createTransfer(transferData);
       console.log('✅ Transfer API response:', response);
+      if (response.warnings?.length > 0) {
+        alert(response.warnings.join('\n'));
+      }
 
       // Clear selection after transfer
       setSelectedMovies(new Set());
@@ -548,46 +566,8 @@ function App() {
       const selectedEpisodeObjects = recentEpisodes.filter(episode => selectedEpisodes.has(episode.id));
       console.log('Selected episode objects:', selectedEpisodeObjects);
 
-      // Filter out episodes that already exist on destination
-      const filesToTransfer = [];
-      let skippedCount = 0;
-      let errorCount = 0;
-
-      for (const episode of selectedEpisodeObjects) {
-        try {
-          const destPath = mapPathToDestination(episode.filePath);
-          console.log(`🔍 Checking existence: ${destPath}`);
-          const existenceCheck = await apiService.checkFileExists(frontendConfig.defaultDestServer, destPath);
-          console.log(`📁 ${episode.title}: exists = ${existenceCheck.exists}`);
-
-          if (!existenceCheck.exists) {
-            filesToTransfer.push({
-              path: episode.filePath,
-              name: episode.title,
-              size: episode.fileSize || 0
-            });
-          } else {
-            console.log(`⏭️ Skipping existing episode: ${episode.title}`);
-            skippedCount++;
-          }
-        } catch (error) {
-          console.error(`❌ Error checking existence for ${episode.title}:`, error);
-          // Exclude from transfer if we can't check existence (safer approach)
-          console.log(`⚠️ Excluding ${episode.title} from transfer due to check failure`);
-          errorCount++;
-        }
-      }
-
-      if (filesToTransfer.length === 0) {
-        alert('All selected episodes already exist on the destination server.');
-        setSelectedEpisodes(new Set());
-        return;
-      }
-
-      // Show feedback about skipped files
-      if (skippedCount > 0) {
-        console.log(`ℹ️ Skipped ${skippedCount} existing episode(s), transferring ${filesToTransfer.length} file(s)`);
-      }
+      // Existing files are handled server-side according to the conflict policy
+      const filesToTransfer = selectedEpisodeObjects.flatMap(episode => getItemFiles(episode));
 
       // Create transfer
       const transferData = {
@@ -599,6 +579,9 @@ function App() {
       console.log('📤 Creating transfer:', transferData);
       const response = await apiService.createTransfer(transferData);
       console.log('✅ Transfer API response:', response);
+      if (response.warnings?.length > 0) {
+        alert(response.warnings.join('\n'));
+      }
 
       // Clear selection after transfer
       setSelectedEpisodes(new Set());
@@ -624,50 +607,10 @@ function App() {
       const selectedSeasonObjects = recentSeasons.filter(season => selectedSeasons.has(season.id));
       console.log('Selected season objects:', selectedSeasonObjects);
 
-      // Collect all episodes from selected seasons and filter out existing ones
-      const filesToTransfer = [];
-      let totalSkipped = 0;
-      let totalErrorCount = 0;
-
-      for (const season of selectedSeasonObjects) {
-        console.log(`Processing season: ${season.showTitle} S${season.seasonNumber} (${season.episodes.length} episodes)`);
-
-        for (const episode of season.episodes) {
-          try {
-            const destPath = mapPathToDestination(episode.filePath);
-            console.log(`🔍 Checking existence: ${destPath}`);
-            const existenceCheck = await apiService.checkFileExists(frontendConfig.defaultDestServer, destPath);
-            console.log(`📁 ${episode.title}: exists = ${existenceCheck.exists}`);
-
-            if (!existenceCheck.exists) {
-              filesToTransfer.push({
-                path: episode.filePath,
-                name: episode.title,
-                size: episode.fileSize || 0
-              });
-            } else {
-              console.log(`⏭️ Skipping existing episode: ${episode.title}`);
-              totalSkipped++;
-            }
-          } catch (error) {
-            console.error(`❌ Error checking existence for ${episode.title}:`, error);
-            // Exclude from transfer if we can't check existence (safer approach)
-            console.log(`⚠️ Excluding ${episode.title} from transfer due to check failure`);
-            totalErrorCount++;
-          }
-        }
-      }
-
-      if (filesToTransfer.length === 0) {
-        alert('All episodes from selected seasons already exist on the destination server.');
-        setSelectedSeasons(new Set());
-        return;
-      }
-
-      // Show feedback about skipped files
-      if (totalSkipped > 0) {
-        console.log(`ℹ️ Skipped ${totalSkipped} existing episode(s), transferring ${filesToTransfer.length} file(s)`);
-      }
+      // Collect all episodes from selected seasons; existing files are handled server-side
+      const filesToTransfer = selectedSeasonObjects.flatMap(season =>
+        season.episodes.flatMap(episode => getItemFiles(episode))
+      );
 
       // Create transfer
       const transferData = {
@@ -679,6 +622,9 @@ function App() {
       console.log('📤 Creating season transfer:', transferData);
       const response = await apiService.createTransfer(transferData);
       console.log('✅ Transfer API response:', response);
+      if (response.warnings?.length > 0) {
+        alert(response.warnings.join('\n'));
+      }
 
       // Clear selection after transfer
       setSelectedSeasons(new Set());
@@ -705,10 +651,11 @@ function App() {
       // Update movies if we're on the movies tab
       if (activeTab === 'movies' && recentMovies.length > 0) {
         console.log('🎬 Re-checking movie existence status');
+        const destPaths = await mapPathsToDestination(recentMovies.map(movie => movie.filePath));
         const moviesWithUpdatedExistence = await Promise.all(
           recentMovies.map(async (movie) => {
             try {
-              const destPath = mapPathToDestination(movie.filePath);
+              const destPath = getDestinationPath(destPaths, movie.filePath);
               const existenceCheck = await apiService.checkFileExists(frontendConfig.defaultDestServer, destPath);
               return {
                 ...movie,
@@ -728,10 +675,14 @@ function App() {
       // Update episodes if we're on the TV tab
       if (activeTab === 'tv' && recentEpisodes.length > 0) {
         console.log('📺 Re-checking episode existence status');
+        const destPaths = await mapPathsToDestination([
+          ...recentEpisodes.map(episode => episode.filePath),
+          ...recentSeasons.flatMap(season => season.episodes.map(episode => episode.filePath))
+        ]);
         const episodesWithUpdatedExistence = await Promise.all(
           recentEpisodes.map(async (episode) => {
             try {
-              const destPath = mapPathToDestination(episode.filePath);
+              const destPath = getDestinationPath(destPaths, episode.filePath);
               const existenceCheck = await apiService.checkFileExists(frontendConfig.defaultDestServer, destPath);
               return {
                 ...episode,
@@ -756,7 +707,7 @@ function App() {
                 // Check each episode in the season
                 const episodeChecks = await Promise.all(
                   season.episodes.map(async (episode) => {
-                    const destPath = mapPathToDestination(episode.filePath);
+                    const destPath = getDestinationPath(destPaths, episode.filePath);
                     const existenceCheck = await apiService.checkFileExists(frontendConfig.defaultDestServer, destPath);
                     return existenceCheck.exists;
                   })
@@ -799,6 +750,9 @@ function App() {
       const results = await apiService.searchContent(selectedServer, query.trim());
 
       // Check which search results already exist on destination server
+      const destPaths = await mapPathsToDestination(
+        results.flatMap(item => item.episodes ? item.episodes.map(episode => episode.filePath) : [item.filePath])
+      );
       const resultsWithExistence = await Promise.all(
         results.map(async (item) => {
           try {
@@ -810,7 +764,7 @@ function App() {
                 const episodeChecks = await Promise.all(
                   allEpisodes.map(async (episode) => {
                     try {
-                      const destPath = mapPathToDestination(episode.filePath);
+                      const destPath = getDestinationPath(destPaths, episode.filePath);
                       const existenceCheck = await apiService.checkFileExists(frontendConfig.defaultDestServer, destPath);
                       return existenceCheck.exists;
                     } catch (error) {
@@ -835,7 +789,7 @@ function App() {
               }
             } else {
               // For movies and episodes, check individual file existence
-              const destPath = mapPathToDestination(item.filePath);
+              const destPath = getDestinationPath(destPaths, item.filePath);
               const existenceCheck = await apiService.checkFileExists(frontendConfig.defaultDestServer, destPath);
               return {
                 ...item,
@@ -909,46 +863,10 @@ function App() {
 
       console.log(`Expanded ${selectedResultObjects.length} selections to ${expandedResults.length} files`);
 
-      // Filter out results that already exist on destination
-      const filesToTransfer = [];
-      let skippedCount = 0;
-      let errorCount = 0;
-
-      for (const result of expandedResults) {
-        try {
-          const destPath = mapPathToDestination(result.filePath);
-          console.log(`🔍 Checking existence: ${destPath}`);
-          const existenceCheck = await apiService.checkFileExists(frontendConfig.defaultDestServer, destPath);
-          console.log(`📁 ${result.title}: exists = ${existenceCheck.exists}`);
-
-          if (!existenceCheck.exists) {
-            filesToTransfer.push({
-              path: result.filePath,
-              name: result.title,
-              size: result.fileSize || 0
-            });
-          } else {
-            console.log(`⏭️ Skipping existing result: ${result.title}`);
-            skippedCount++;
-          }
-        } catch (error) {
-          console.error(`❌ Error checking existence for ${result.title}:`, error);
-          // Exclude from transfer if we can't check existence (safer approach)
-          console.log(`⚠️ Excluding ${result.title} from transfer due to check failure`);
-          errorCount++;
-        }
-      }
-
-      if (filesToTransfer.length === 0) {
-        alert('All selected search results already exist on the destination server.');
-        setSelectedSearchResults(new Set());
-        return;
-      }
-
-      // Show feedback about skipped files
-      if (skippedCount > 0) {
-        console.log(`ℹ️ Skipped ${skippedCount} existing result(s), transferring ${filesToTransfer.length} file(s)`);
-      }
+      // Existing files are handled server-side according to the conflict policy
+      const filesToTransfer = expandedResults.flatMap(result =>
+        getItemFiles(result, selectedVersions.get(result.id))
+      );
 
       // Create transfer
       const transferData = {
@@ -960,6 +878,9 @@ function App() {
       console.log('📤 Creating search results transfer:', transferData);
       const response = await apiService.createTransfer(transferData);
       console.log('✅ Transfer API response:', response);
+      if (response.warnings?.length > 0) {
+        alert(response.warnings.join('\n'));
+      }
 
       // Clear selection after transfer
       setSelectedSearchResults(new Set());
@@ -977,7 +898,7 @@ function App() {
     setActiveTransfers(prev => {
       const newMap = new Map(prev);
       for (const [id, transfer] of newMap.entries()) {
-        if (transfer.status === 'active' || transfer.status === 'queued') {
+        if (['active', 'verifying', 'queued'].includes(transfer.status)) {
           transfer.status = 'cancelled';
           transfer.error = 'Cancelled by user';
           newMap.set(id, transfer);
@@ -1008,6 +929,88 @@ function App() {
     }
   };
 
+  const handleToggleQueuePause = async () => {
+    try {
+      if (queuePaused) {
+        console.log('▶️ Resuming transfer queue');
+        await apiService.resumeQueue();
+      } else {
+        console.log('⏸️ Pausing transfer queue');
+        await apiService.pauseQueue(true);
+      }
+    } catch (error) {
+      console.error('❌ Failed to toggle queue pause:', error);
+      alert(`Failed to ${queuePaused ? 'resume' : 'pause'} transfers: ${error.message}`);
+    }
+  };
+
+  const handleRetryFailedTransfers = async () => {
+    try {
+      console.log('🔁 Retrying failed transfers');
+      const response = await apiService.retryFailedTransfers();
+      console.log('✅ Retry response:', response);
+      setTransferHistory(prev => prev.filter(t => t.status !== 'failed'));
+    } catch (error) {
+      console.error('❌ Failed to retry transfers:', error);
+      alert(`Failed to retry transfers: ${error.message}`);
+    }
+  };
+
+  const handleMoveTransferToTop = async (transfer) => {
+    try {
+      await apiService.moveTransfer(transfer.id, 'top');
+    } catch (error) {
+      console.error(`❌ Failed to move ${transfer.filename} to the top of the queue:`, error);
+    }
+  };
+
+  const handleToggleTransferPause = async (transfer) => {
+    try {
+      if (transfer.status === 'paused') {
+        await apiService.resumeTransfer(transfer.id);
+      } else {
+        await apiService.pauseTransfer(transfer.id);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to toggle pause for ${transfer.filename}:`, error);
+    }
+  };
+
+  const handleBatchAction = async (batch, action) => {
+    try {
+      console.log(`📦 ${action} batch ${batch.name}`);
+      if (action === 'pause') {
+        await apiService.pauseBatch(batch.id);
+      } else if (action === 'resume') {
+        await apiService.resumeBatch(batch.id);
+      } else if (action === 'retry') {
+        await apiService.retryBatch(batch.id);
+      } else if (action === 'cancel') {
+        await apiService.cancelBatch(batch.id);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to ${action} batch ${batch.name}:`, error);
+      alert(`Failed to ${action} batch: ${error.message}`);
+    }
+  };
+
+  const formatEta = (seconds) => {
+    if (seconds === null || seconds === undefined) return '--';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`
+      : `${minutes}:${String(secs).padStart(2, '0')}`;
+  };
+
+  const formatRate = (bytesPerSecond) => {
+    if (!bytesPerSecond) return '--';
+    if (bytesPerSecond >= 1024 * 1024 * 1024) return `${(bytesPerSecond / (1024 * 1024 * 1024)).toFixed(2)} GB/s`;
+    if (bytesPerSecond >= 1024 * 1024) return `${(bytesPerSecond / (1024 * 1024)).toFixed(2)} MB/s`;
+    return `${(bytesPerSecond / 1024).toFixed(1)} KB/s`;
+  };
+
   const renderContent = () => (
     <div className={`min-h-screen ${darkMode ? 'bg-gray-950' : 'bg-gray-50'}`}>
       {/* Top Bar with Transfer Button */}
@@ -1141,6 +1144,14 @@ function App() {
                   >
                     🔄 Refresh
                   </button>
+                  {(activeTransfers.size > 0 || queuePaused) && (
+                    <button
+                      onClick={handleToggleQueuePause}
+                      className="inline-flex items-center px-2 py-1 border border-transparent text-xs font-medium rounded text-yellow-800 bg-yellow-100 hover:bg-yellow-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-yellow-500"
+                    >
+                      {queuePaused ? '▶️ Resume All' : '⏸️ Pause All'}
+                    </button>
+                  )}
                   {activeTransfers.size > 0 && (
                     <button
                       onClick={handleCancelAllTransfers}
@@ -1239,30 +1250,72 @@ function App() {
                         })()}</span>
                       </div>
                       <div className="flex justify-between">
-                        <span>Avg Speed:</span>
-                        <span>{(() => {
-                          const speeds = Array.from(activeTransfers.values())
-                            .map(t => t.progress?.speed)
-                            .filter(speed => speed && speed !== '--');
-                          if (speeds.length === 0) return '--';
-                          // Simple average - in reality you'd weight by transfer size
-                          return speeds[0]; // Just show first speed for simplicity
-                        })()}</span>
+                        <span>Speed:</span>
+                        <span>{formatRate(Array.from(activeTransfers.values())
+                          .reduce((sum, t) => sum + (t.progress?.bytesPerSecond || 0), 0))}</span>
                       </div>
                       <div className="flex justify-between">
                         <span>ETA:</span>
                         <span>{(() => {
-                          const etas = Array.from(activeTransfers.values())
-                            .map(t => t.progress?.eta)
-                            .filter(eta => eta && eta !== '--');
-                          if (etas.length === 0) return '--';
-                          // Show longest ETA
-                          return etas.sort().reverse()[0];
+                          // Remaining bytes over the combined rate, since the transfers share the bandwidth
+                          const transfers = Array.from(activeTransfers.values());
+                          const bytesPerSecond = transfers.reduce((sum, t) => sum + (t.progress?.bytesPerSecond || 0), 0);
+                          if (bytesPerSecond === 0) return '--';
+                          const remaining = transfers.reduce((sum, t) => sum + Math.max(0, (t.progress?.totalBytes ?? t.size ?? 0) - (t.progress?.transferred || 0)), 0);
+                          return formatEta(Math.round(remaining / bytesPerSecond));
                         })()}</span>
                       </div>
                     </div>
                   </div>
 
+                  {/* Batches */}
+                  {(() => {
+                    const batchIds = new Set(Array.from(activeTransfers.values()).map(t => t.batchId).filter(Boolean));
+                    const visibleBatches = Array.from(batches.values()).filter(b => batchIds.has(b.id));
+                    if (visibleBatches.length === 0) return null;
+
+                    return (
+                      <div className={`border-t ${darkMode ? 'border-gray-600' : 'border-gray-200'} pt-3`}>
+                        <h4 className={`text-xs font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'} mb-2`}>Batches</h4>
+                        <div className="space-y-3">
+                          {visibleBatches.map((batch) => (
+                            <div key={batch.id} className="space-y-1">
+                              <div className="flex items-center justify-between">
+                                <span className={`text-xs font-medium ${darkMode ? 'text-white' : 'text-gray-900'} truncate max-w-xs`}>
+                                  {batch.name}
+                                </span>
+                                <div className="flex items-center space-x-1">
+                                  {(batch.status === 'active' || batch.status === 'queued') && (
+                                    <button onClick={() => handleBatchAction(batch, 'pause')} className="text-xs" title="Pause batch">⏸️</button>
+                                  )}
+                                  {batch.counts?.paused > 0 && (
+                                    <button onClick={() => handleBatchAction(batch, 'resume')} className="text-xs" title="Resume batch">▶️</button>
+                                  )}
+                                  {(batch.counts?.failed > 0 || batch.counts?.cancelled > 0) && (
+                                    <button onClick={() => handleBatchAction(batch, 'retry')} className="text-xs" title="Retry failed and cancelled files">🔁</button>
+                                  )}
+                                  {batch.finishedFiles < batch.totalFiles && (
+                                    <button onClick={() => handleBatchAction(batch, 'cancel')} className="text-xs" title="Cancel batch">✖️</button>
+                                  )}
+                                </div>
+                              </div>
+                              <div className={`w-full ${darkMode ? 'bg-gray-600' : 'bg-gray-200'} rounded-full h-2`}>
+                                <div
+                                  className={`h-2 rounded-full transition-all duration-300 ${batch.status === 'paused' ? 'bg-gray-400' : 'bg-blue-600'}`}
+                                  style={{ width: `${batch.percentage}%` }}
+                                ></div>
+                              </div>
+                              <div className={`flex justify-between text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                <span>{batch.finishedFiles}/{batch.totalFiles} files · {batch.status}</span>
+                                <span>{batch.percentage}% · ETA {formatEta(batch.etaSeconds)}</span>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })()}
+
                   {/* Individual File Progress */}
                   <div className={`border-t ${darkMode ? 'border-gray-600' : 'border-gray-200'} pt-3`}>
                     <h4 className={`text-xs font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'} mb-2`}>Individual Files</h4>
@@ -1273,7 +1326,10 @@ function App() {
                             <div className="flex items-center space-x-1">
                               <div className={`w-1.5 h-1.5 rounded-full ${
                                 transfer.status === 'active' ? 'bg-blue-500 animate-pulse' :
+                                transfer.status === 'verifying' ? 'bg-teal-500 animate-pulse' :
                                 transfer.status === 'queued' ? 'bg-yellow-500' :
+                                transfer.status === 'paused' ? 'bg-gray-400' :
+                                transfer.status === 'scheduled' ? 'bg-purple-500' :
                                 transfer.status === 'completed' ? 'bg-green-500' :
                                 'bg-red-500'
                               }`}></div>
@@ -1281,9 +1337,56 @@ function App() {
                                 {transfer.filename}
                               </span>
                             </div>
-                            <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                              {(transfer.size / (1024 * 1024 * 1024)).toFixed(1)} GB
-                            </span>
+                            <div className="flex items-center space-x-2">
+                              {transfer.status === 'queued' && (
+                                <button
+                                  onClick={() => handleMoveTransferToTop(transfer)}
+                                  className={`text-xs ${darkMode ? 'text-gray-400 hover:text-white' : 'text-gray-500 hover:text-gray-900'}`}
+                                  title="Move to top of queue"
+                                >
+                                  ⏫
+                                </button>
+                              )}
+                              {['queued', 'active', 'verifying', 'paused'].includes(transfer.status) && (
+                                <button
+                                  onClick={() => handleToggleTransferPause(transfer)}
+                                  className={`text-xs ${darkMode ? 'text-gray-400 hover:text-white' : 'text-gray-500 hover:text-gray-900'}`}
+                                  title={transfer.status === 'paused' ? 'Resume transfer' : 'Pause transfer'}
+                                >
+                                  {transfer.status === 'paused' ? '▶️' : '⏸️'}
+                                </button>
+                              )}
+                              <button
+                                onClick={() => setLogTransferId(logTransferId === transfer.id ? null : transfer.id)}
+                                className={`text-xs ${darkMode ? 'text-gray-400 hover:text-white' : 'text-gray-500 hover:text-gray-900'}`}
+                                title="Show transfer log"
+                              >
+                                📜
+                              </button>
+                              {transfer.sidecars?.length > 0 && (
+                                <span
+                                  className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}
+                                  title={transfer.sidecars.map(sidecar => `${sidecar.name} (${sidecar.status})`).join('\n')}
+                                >
+                                  📎 +{transfer.sidecars.length}
+                                </span>
+                              )}
+                              {transfer.kind === 'directory' && (
+                                <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                  📁 {transfer.progress?.filesTotal !== undefined
+                                    ? `${transfer.progress.filesDone}/${transfer.progress.filesTotal}`
+                                    : `${transfer.fileCount} files`}
+                                </span>
+                              )}
+                              {transfer.status === 'active' && transfer.progress?.bytesPerSecond > 0 && (
+                                <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                  {formatRate(transfer.progress.bytesPerSecond)} · {formatEta(transfer.progress.etaSeconds)}
+                                </span>
+                              )}
+                              <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                {(transfer.size / (1024 * 1024 * 1024)).toFixed(1)} GB
+                              </span>
+                            </div>
                           </div>
 
                           {/* Individual Progress Bar */}
@@ -1300,6 +1403,15 @@ function App() {
                               {transfer.error}
                             </div>
                           )}
+                          {transfer.failedFiles?.length > 0 && (
+                            <div className="mt-1 p-1 bg-red-50 border border-red-200 rounded text-xs text-red-700">
+                              {transfer.failedFiles.map(file => (
+                                <div key={file.path} className="truncate" title={file.error}>
+                                  ✖ {file.path}
+                                </div>
+                              ))}
+                            </div>
+                          )}
                         </div>
                       ))}
                     </div>
@@ -1343,7 +1455,7 @@ function App() {
                       </div>
 
                       <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'} space-y-1`}>
-                        <div>{server.ssh?.host}:{server.ssh?.port}</div>
+                        <div>{server.type === 'local' ? 'Local' : `${server.ssh?.host}:${server.ssh?.port}`}</div>
                         {mediaDisks.length > 0 && (
                           <div className={`text-xs ${darkMode ? 'bg-gray-700' : 'bg-gray-50'} px-2 py-1 rounded`}>
                             {mediaDisks[0].mountPoint}: {mediaDisks[0].available} free
@@ -1461,9 +1573,25 @@ function App() {
                             <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'} mt-0.5`}>
                               {movie.year} • {movie.duration ? `${Math.round(movie.duration / 60000)}min` : ''}
                             </p>
-                            {movie.fileSize && (
+                            {movie.media?.length > 1 ? (
+                              <select
+                                value={selectedVersions.get(movie.id) || movie.media[0].id}
+                                onClick={(e) => e.stopPropagation()}
+                                onChange={(e) => {
+                                  const mediaId = e.target.value;
+                                  setSelectedVersions(prev => new Map(prev).set(movie.id, mediaId));
+                                }}
+                                className={`mt-0.5 w-full text-xs rounded border ${darkMode ? 'bg-gray-700 border-gray-600 text-gray-300' : 'bg-white border-gray-300 text-gray-700'}`}
+                                title="Version to transfer"
+                              >
+                                {movie.media.map(media => (
+                                  <option key={media.id} value={media.id}>{formatVersionLabel(media)}</option>
+                                ))}
+                              </select>
+                            ) : movie.fileSize && (
                               <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                                {Math.round(movie.fileSize / (1024 * 1024 * 1024))} GB
+                                {Math.round((movie.media?.[0]?.size || movie.fileSize) / (1024 * 1024 * 1024))} GB
+                                {movie.media?.[0]?.parts.length > 1 && ` • ${movie.media[0].parts.length} parts`}
                               </p>
                             )}
                           </div>
@@ -1957,19 +2085,73 @@ function App() {
         {/* Transfer History - Compact */}
         {transferHistory.length > 0 && activeTab !== 'settings' && (
           <div className={`${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'} border rounded-lg p-4`}>
-            <h3 className={`text-sm font-medium ${darkMode ? 'text-white' : 'text-gray-900'} mb-3`}>Recent Transfers</h3>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className={`text-sm font-medium ${darkMode ? 'text-white' : 'text-gray-900'}`}>Recent Transfers</h3>
+              {transferHistory.some(t => t.status === 'failed') && (
+                <button
+                  onClick={handleRetryFailedTransfers}
+                  className="inline-flex items-center px-2 py-1 border border-transparent text-xs font-medium rounded text-blue-700 bg-blue-100 hover:bg-blue-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  🔁 Retry Failed
+                </button>
+              )}
+            </div>
             <div className="space-y-2">
               {transferHistory.slice(0, 5).map((transfer) => (
                 <div key={transfer.id} className="flex items-center justify-between py-1">
                   <div className="flex items-center space-x-2">
                     {transfer.status === 'completed' ? (
                       <CheckCircle className="h-4 w-4 text-green-500" />
+                    ) : transfer.status === 'skipped' ? (
+                      <CheckCircle className="h-4 w-4 text-gray-400" />
+                    ) : ['paused', 'scheduled'].includes(transfer.status) ? (
+                      <Clock className="h-4 w-4 text-gray-400" />
                     ) : (
                       <XCircle className="h-4 w-4 text-red-500" />
                     )}
                     <span className={`text-sm font-medium ${darkMode ? 'text-white' : 'text-gray-900'} truncate max-w-xs`}>
                       {transfer.filename}
                     </span>
+                    {transfer.status === 'skipped' && (
+                      <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} title={transfer.skipReason}>⏭️ Skipped</span>
+                    )}
+                    {transfer.status === 'cancelled' && (
+                      <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>🛑 Cancelled</span>
+                    )}
+                    {transfer.status === 'scheduled' && (
+                      <span className="text-xs text-purple-500" title={transfer.scheduledFor ? `Starts after ${new Date(transfer.scheduledFor).toLocaleString()}` : undefined}>🕒 Scheduled</span>
+                    )}
+                    {transfer.status === 'paused' && (
+                      <button
+                        onClick={() => handleToggleTransferPause(transfer)}
+                        className={`text-xs ${darkMode ? 'text-gray-400 hover:text-white' : 'text-gray-500 hover:text-gray-900'}`}
+                        title="Resume transfer"
+                      >
+                        ⏸️ Paused ▶️
+                      </button>
+                    )}
+                    {transfer.status === 'failed' && transfer.attempts?.[transfer.attempts.length - 1]?.outcome === 'stalled' && (
+                      <span className="text-xs text-yellow-600" title={transfer.error}>⏳ Stalled</span>
+                    )}
+                    {transfer.conflict?.action === 'rename' && (
+                      <span className="text-xs text-blue-500" title={transfer.conflict.reason}>✏️ Renamed</span>
+                    )}
+                    {transfer.plexScan?.status === 'indexed' && (
+                      <span className="text-xs text-green-600" title="Indexed by Plex on the destination">📚 In Plex</span>
+                    )}
+                    {['pending', 'scanning', 'requested'].includes(transfer.plexScan?.status) && (
+                      <span className="text-xs text-blue-500" title="Waiting for the destination Plex scan">🔄 Scanning</span>
+                    )}
+                    {['timeout', 'error'].includes(transfer.plexScan?.status) && (
+                      <span className="text-xs text-yellow-600" title={transfer.plexScan.error}>⚠️ Not in Plex yet</span>
+                    )}
+                    <button
+                      onClick={() => setLogTransferId(logTransferId === transfer.id ? null : transfer.id)}
+                      className={`text-xs ${darkMode ? 'text-gray-400 hover:text-white' : 'text-gray-500 hover:text-gray-900'}`}
+                      title="Show transfer log"
+                    >
+                      📜
+                    </button>
                   </div>
                   <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
                     {new Date(transfer.completedAt || transfer.createdAt).toLocaleTimeString()}
@@ -1979,6 +2161,19 @@ function App() {
             </div>
           </div>
         )}
+
+        {/* Log of the selected transfer, followed live while it runs */}
+        {(() => {
+          const logTransfer = logTransferId && (activeTransfers.get(logTransferId) || transferHistory.find(t => t.id === logTransferId));
+          if (!logTransfer || activeTab === 'settings') return null;
+          return (
+            <TransferLog
+              transfer={logTransfer}
+              onClose={() => setLogTransferId(null)}
+              darkMode={darkMode}
+            />
+          );
+        })()}
       </div>
     </div>
   );
@@ -101,7 +101,7 @@ function ServerSelector({ selectedServer, onServerChange, label = "Select Server
 
       {selectedServerData && (
         <div className="mt-2 text-xs text-gray-500">
-          IP: {selectedServerData.ssh?.host} | Media paths: {Object.keys(selectedServerData.mediaPaths || {}).join(', ')}
+          IP: {selectedServerData.type === 'local' ? 'local' : selectedServerData.ssh?.host} | Media paths: {Object.keys(selectedServerData.mediaPaths || {}).join(', ')}
         </div>
       )}
     </div>
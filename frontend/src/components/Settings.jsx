@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Settings as SettingsIcon, Save, RefreshCw, Download, Server, HardDrive, Monitor, Zap, Shield, Globe } from 'lucide-react';
+import { Settings as SettingsIcon, Save, RefreshCw, Download, Server, HardDrive, Monitor, Zap, Shield, Globe, FolderTree } from 'lucide-react';
 import apiService from '../services/api.js';
 
 function Settings({ darkMode }) {
@@ -10,6 +10,8 @@ function Settings({ darkMode }) {
   const [nginxConfig, setNginxConfig] = useState('');
   const [activeSection, setActiveSection] = useState('servers');
   const [hasChanges, setHasChanges] = useState(false);
+  const [pathPreview, setPathPreview] = useState({ pairKey: '', path: '', result: null, error: null });
+  const [rsyncProfiles, setRsyncProfiles] = useState([]);
 
   useEffect(() => {
     loadSettings();
@@ -20,6 +22,7 @@ function Settings({ darkMode }) {
       setLoading(true);
       const response = await apiService.getSettings();
       setConfig(response.config);
+      await loadRsyncProfiles();
     } catch (error) {
       console.error('Failed to load settings:', error);
       alert('Failed to load settings: ' + error.message);
@@ -28,10 +31,21 @@ function Settings({ darkMode }) {
     }
   };
 
+  // Built-in profiles come from the backend, custom ones from transfer.rsyncProfiles
+  const loadRsyncProfiles = async () => {
+    try {
+      const response = await apiService.getRsyncProfiles();
+      setRsyncProfiles(response.profiles);
+    } catch (error) {
+      console.error('Failed to load rsync profiles:', error);
+    }
+  };
+
   const handleSave = async () => {
     try {
       setSaving(true);
       await apiService.updateSettings(config);
+      await loadRsyncProfiles();
       setHasChanges(false);
       alert('Settings saved successfully!');
     } catch (error) {
@@ -79,9 +93,92 @@ function Settings({ darkMode }) {
     setHasChanges(true);
   };
 
+  const bandwidthSchedule = config?.transfer?.bandwidth?.schedule || [];
+  const dayLabels = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  const updateScheduleEntry = (index, field, value) => {
+    const schedule = bandwidthSchedule.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry));
+    updateConfig('transfer.bandwidth.schedule', schedule);
+  };
+
+  const toggleScheduleDay = (index, day) => {
+    const days = bandwidthSchedule[index].days || [0, 1, 2, 3, 4, 5, 6];
+    const newDays = days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort();
+    updateScheduleEntry(index, 'days', newDays);
+  };
+
+  const addScheduleEntry = () => {
+    updateConfig('transfer.bandwidth.schedule', [
+      ...bandwidthSchedule,
+      { days: [0, 1, 2, 3, 4, 5, 6], start: '18:00', end: '23:00', limitKBps: 2048 }
+    ]);
+  };
+
+  const removeScheduleEntry = (index) => {
+    updateConfig('transfer.bandwidth.schedule', bandwidthSchedule.filter((_, i) => i !== index));
+  };
+
+  const serverPairs = (config?.servers || []).flatMap(source => config.servers
+    .filter(dest => dest.id !== source.id)
+    .map(dest => ({ key: `${source.id}->${dest.id}`, source, dest })));
+
+  const rsyncProfileNames = [...new Set([
+    ...rsyncProfiles.map(profile => profile.name),
+    ...Object.keys(config?.transfer?.rsyncProfiles || {})
+  ])];
+
+  const addRsyncProfile = () => {
+    const name = prompt('Name of the new rsync profile (letters, digits, - and _):');
+    if (!name) return;
+    updateConfig('transfer.rsyncProfiles', { ...(config.transfer?.rsyncProfiles || {}), [name.trim()]: '-avz' });
+  };
+
+  const removeRsyncProfile = (name) => {
+    const { [name]: removed, ...rest } = config.transfer?.rsyncProfiles || {};
+    updateConfig('transfer.rsyncProfiles', rest);
+  };
+
+  const getPathRules = (pairKey) => config?.transfer?.pairs?.[pairKey]?.pathRules || [];
+
+  const updatePathRule = (pairKey, index, field, value) => {
+    const rules = getPathRules(pairKey).map((rule, i) => (i === index ? { ...rule, [field]: value } : rule));
+    updateConfig(`transfer.pairs.${pairKey}.pathRules`, rules);
+  };
+
+  const setPathRuleType = (pairKey, index, type) => {
+    const rules = getPathRules(pairKey).map((rule, i) => {
+      if (i !== index) return rule;
+      const { prefix, regex, flags, ...rest } = rule;
+      return { [type]: prefix ?? regex ?? '', ...rest };
+    });
+    updateConfig(`transfer.pairs.${pairKey}.pathRules`, rules);
+  };
+
+  const addPathRule = (pairKey) => {
+    updateConfig(`transfer.pairs.${pairKey}.pathRules`, [...getPathRules(pairKey), { prefix: '', target: '' }]);
+  };
+
+  const removePathRule = (pairKey, index) => {
+    updateConfig(`transfer.pairs.${pairKey}.pathRules`, getPathRules(pairKey).filter((_, i) => i !== index));
+  };
+
+  // Preview with the rules as edited, before they are saved
+  const previewPathMapping = async () => {
+    const pair = serverPairs.find(p => p.key === pathPreview.pairKey) || serverPairs[0];
+    if (!pair || !pathPreview.path) return;
+
+    try {
+      const response = await apiService.mapPaths(pair.source.id, pair.dest.id, [pathPreview.path], getPathRules(pair.key));
+      setPathPreview(prev => ({ ...prev, result: response.mappings[0], error: null }));
+    } catch (error) {
+      setPathPreview(prev => ({ ...prev, result: null, error: error.message }));
+    }
+  };
+
   const sections = [
     { id: 'servers', label: 'Servers', icon: Server },
     { id: 'transfer', label: 'Transfer', icon: Zap },
+    { id: 'paths', label: 'Path Mapping', icon: FolderTree },
     { id: 'ui', label: 'UI Settings', icon: Monitor },
     { id: 'frontend', label: 'Frontend', icon: Globe },
     { id: 'backend', label: 'Backend', icon: Shield },
@@ -241,6 +338,27 @@ function Settings({ darkMode }) {
                             }`}
                           />
                         </div>
+                        <div>
+                          <label className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'} mb-1`}>
+                            Connection
+                          </label>
+                          <select
+                            value={server.type || 'ssh'}
+                            onChange={(e) => {
+                              const newServers = [...config.servers];
+                              newServers[index].type = e.target.value;
+                              updateConfig('servers', newServers);
+                            }}
+                            className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                              darkMode
+                                ? 'border-gray-600 bg-gray-700 text-white'
+                                : 'border-gray-300 bg-white text-gray-900'
+                            }`}
+                          >
+                            <option value="ssh">SSH</option>
+                            <option value="local">Local (same host as the backend)</option>
+                          </select>
+                        </div>
                         <div>
                           <label className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'} mb-1`}>
                             Host
@@ -314,19 +432,453 @@ function Settings({ darkMode }) {
                   </div>
                   <div>
                     <label className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'} mb-1`}>
-                      Rsync Options
+                      Queue Order
+                    </label>
+                    <select
+                      value={config.transfer?.queueStrategy || 'fifo'}
+                      onChange={(e) => updateConfig('transfer.queueStrategy', e.target.value)}
+                      className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                        darkMode
+                          ? 'border-gray-600 bg-gray-700 text-white'
+                          : 'border-gray-300 bg-white text-gray-900'
+                      }`}
+                    >
+                      <option value="fifo">First in, first out</option>
+                      <option value="smallest-first">Smallest files first</option>
+                      <option value="largest-first">Largest files first</option>
+                      <option value="oldest-added-first">Oldest added in Plex first</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'} mb-1`}>
+                      When Destination File Exists
+                    </label>
+                    <select
+                      value={config.transfer?.conflictPolicy || 'skip'}
+                      onChange={(e) => updateConfig('transfer.conflictPolicy', e.target.value)}
+                      className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                        darkMode
+                          ? 'border-gray-600 bg-gray-700 text-white'
+                          : 'border-gray-300 bg-white text-gray-900'
+                      }`}
+                    >
+                      <option value="skip">Skip</option>
+                      <option value="overwrite">Overwrite</option>
+                      <option value="rename">Keep both (rename new file)</option>
+                      <option value="keep-larger">Keep the larger file</option>
+                      <option value="keep-higher-resolution">Keep the higher resolution</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'} mb-1`}>
+                      Default Rsync Profile
+                    </label>
+                    <select
+                      value={config.transfer?.rsyncProfile || 'default'}
+                      onChange={(e) => updateConfig('transfer.rsyncProfile', e.target.value)}
+                      className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                        darkMode
+                          ? 'border-gray-600 bg-gray-700 text-white'
+                          : 'border-gray-300 bg-white text-gray-900'
+                      }`}
+                    >
+                      {rsyncProfileNames.map(name => (
+                        <option key={name} value={name}>{name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'} mb-1`}>
+                      Rsync Options of the "default" Profile
                     </label>
                     <input
                       type="text"
-                      value={config.transfer?.rsyncOptions || '-avz --progress --partial'}
+                      value={config.transfer?.rsyncOptions || ''}
                       onChange={(e) => updateConfig('transfer.rsyncOptions', e.target.value)}
+                      placeholder="-avz"
+                      className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                        darkMode
+                          ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400'
+                          : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500'
+                      }`}
+                    />
+                  </div>
+                  <div>
+                    <div className="flex items-center justify-between mb-1">
+                      <label className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                        Custom Rsync Profiles
+                      </label>
+                      <button
+                        onClick={addRsyncProfile}
+                        className="text-xs font-medium text-blue-600 hover:text-blue-500"
+                      >
+                        + Add profile
+                      </button>
+                    </div>
+                    <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'} mb-2`}>
+                      Only common rsync options are accepted. Progress reporting, --partial and --mkpath are always added.
+                      Saved profiles: {rsyncProfiles.map(profile => `${profile.name} (${profile.options ? profile.options.join(' ') : profile.error})`).join(', ')}
+                    </p>
+                    <div className="space-y-2">
+                      {Object.entries(config.transfer?.rsyncProfiles || {}).map(([name, options]) => (
+                        <div key={name} className="grid grid-cols-12 gap-2 items-center">
+                          <span className={`col-span-3 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{name}</span>
+                          <input
+                            type="text"
+                            value={Array.isArray(options) ? options.join(' ') : options}
+                            onChange={(e) => updateConfig('transfer.rsyncProfiles', { ...config.transfer.rsyncProfiles, [name]: e.target.value })}
+                            className={`col-span-8 px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                              darkMode
+                                ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400'
+                                : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500'
+                            }`}
+                          />
+                          <button
+                            onClick={() => removeRsyncProfile(name)}
+                            className="col-span-1 text-xs font-medium text-red-600 hover:text-red-500"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                  <div>
+                    <label className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'} mb-1`}>
+                      Stall Timeout (seconds without progress, 0 = off)
+                    </label>
+                    <input
+                      type="number"
+                      value={config.transfer?.stallTimeoutSec ?? 300}
+                      onChange={(e) => updateConfig('transfer.stallTimeoutSec', parseInt(e.target.value) || 0)}
+                      min="0"
+                      className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                        darkMode
+                          ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400'
+                          : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500'
+                      }`}
+                    />
+                  </div>
+                  <div>
+                    <label className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'} mb-1`}>
+                      Bandwidth Limit (KB/s, 0 = unlimited)
+                    </label>
+                    <input
+                      type="number"
+                      value={config.transfer?.bandwidth?.limitKBps || 0}
+                      onChange={(e) => updateConfig('transfer.bandwidth.limitKBps', parseInt(e.target.value) || 0)}
+                      min="0"
                       className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
                         darkMode
                           ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400'
                           : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500'
                       }`}
                     />
+                    <p className={`mt-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      Shared by all concurrent transfers. Applies to transfers started after saving.
+                    </p>
+                  </div>
+                  <div>
+                    <div className="flex items-center justify-between mb-1">
+                      <label className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                        Bandwidth Schedule
+                      </label>
+                      <button
+                        onClick={addScheduleEntry}
+                        className="text-xs font-medium text-blue-600 hover:text-blue-500"
+                      >
+                        + Add time window
+                      </button>
+                    </div>
+                    <p className={`mb-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      The first matching window replaces the limit above. Windows ending before they start run past midnight.
+                    </p>
+                    <div className="space-y-2">
+                      {bandwidthSchedule.map((entry, index) => (
+                        <div key={index} className={`p-3 border rounded-md ${darkMode ? 'border-gray-600' : 'border-gray-200'}`}>
+                          <div className="flex flex-wrap gap-1 mb-2">
+                            {dayLabels.map((label, day) => (
+                              <button
+                                key={label}
+                                onClick={() => toggleScheduleDay(index, day)}
+                                className={`px-2 py-1 text-xs rounded ${
+                                  (entry.days || [0, 1, 2, 3, 4, 5, 6]).includes(day)
+                                    ? 'bg-blue-600 text-white'
+                                    : darkMode ? 'bg-gray-700 text-gray-400' : 'bg-gray-100 text-gray-500'
+                                }`}
+                              >
+                                {label}
+                              </button>
+                            ))}
+                          </div>
+                          <div className="grid grid-cols-4 gap-2 items-center">
+                            <input
+                              type="time"
+                              value={entry.start}
+                              onChange={(e) => updateScheduleEntry(index, 'start', e.target.value)}
+                              className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                                darkMode
+                                  ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400'
+                                  : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500'
+                              }`}
+                            />
+                            <input
+                              type="time"
+                              value={entry.end}
+                              onChange={(e) => updateScheduleEntry(index, 'end', e.target.value)}
+                              className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                                darkMode
+                                  ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400'
+                                  : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500'
+                              }`}
+                            />
+                            <input
+                              type="number"
+                              value={entry.limitKBps || 0}
+                              onChange={(e) => updateScheduleEntry(index, 'limitKBps', parseInt(e.target.value) || 0)}
+                              min="0"
+                              title="KB/s, 0 = unlimited"
+                              className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                                darkMode
+                                  ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400'
+                                  : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500'
+                              }`}
+                            />
+                            <button
+                              onClick={() => removeScheduleEntry(index)}
+                              className="text-xs font-medium text-red-600 hover:text-red-500"
+                            >
+                              Remove
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
                   </div>
+                  {config.servers?.length > 1 && (
+                    <div>
+                      <label className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'} mb-1`}>
+                        Per Server Pair Limits (KB/s, 0 = unlimited)
+                      </label>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                        {config.servers.flatMap(source => config.servers
+                          .filter(dest => dest.id !== source.id)
+                          .map(dest => {
+                            const pairKey = `${source.id}->${dest.id}`;
+                            return (
+                              <div key={pairKey}>
+                                <span className={`block text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'} mb-1`}>
+                                  {source.name} → {dest.name}
+                                </span>
+                                <input
+                                  type="number"
+                                  value={config.transfer?.pairs?.[pairKey]?.bandwidthLimitKBps || 0}
+                                  onChange={(e) => updateConfig(`transfer.pairs.${pairKey}.bandwidthLimitKBps`, parseInt(e.target.value) || 0)}
+                                  min="0"
+                                  className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                                    darkMode
+                                      ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400'
+                                      : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500'
+                                  }`}
+                                />
+                              </div>
+                            );
+                          }))}
+                      </div>
+                    </div>
+                  )}
+                  {serverPairs.length > 0 && (
+                    <div>
+                      <label className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'} mb-1`}>
+                        Transfer Method per Server Pair
+                      </label>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                        {serverPairs.map(({ key: pairKey, source, dest }) => (
+                          <div key={pairKey}>
+                            <span className={`block text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'} mb-1`}>
+                              {source.name} → {dest.name}
+                            </span>
+                            <select
+                              value={config.transfer?.pairs?.[pairKey]?.method || 'push'}
+                              onChange={(e) => updateConfig(`transfer.pairs.${pairKey}.method`, e.target.value)}
+                              className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                                darkMode
+                                  ? 'border-gray-600 bg-gray-700 text-white'
+                                  : 'border-gray-300 bg-white text-gray-900'
+                              }`}
+                            >
+                              <option value="push">Push (rsync on {source.name})</option>
+                              <option value="pull">Pull (rsync on {dest.name})</option>
+                              <option value="relay">Relay through this backend</option>
+                            </select>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                  {serverPairs.length > 0 && (
+                    <div>
+                      <label className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'} mb-1`}>
+                        Rsync Profile per Server Pair
+                      </label>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                        {serverPairs.map(({ key: pairKey, source, dest }) => (
+                          <div key={pairKey}>
+                            <span className={`block text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'} mb-1`}>
+                              {source.name} → {dest.name}
+                            </span>
+                            <select
+                              value={config.transfer?.pairs?.[pairKey]?.rsyncProfile || ''}
+                              onChange={(e) => updateConfig(`transfer.pairs.${pairKey}.rsyncProfile`, e.target.value || undefined)}
+                              className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                                darkMode
+                                  ? 'border-gray-600 bg-gray-700 text-white'
+                                  : 'border-gray-300 bg-white text-gray-900'
+                              }`}
+                            >
+                              <option value="">Default profile</option>
+                              {rsyncProfileNames.map(name => (
+                                <option key={name} value={name}>{name}</option>
+                              ))}
+                            </select>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Path Mapping Section */}
+            {activeSection === 'paths' && (
+              <div>
+                <h2 className={`text-lg font-medium ${darkMode ? 'text-white' : 'text-gray-900'} mb-4`}>
+                  Path Mapping
+                </h2>
+                <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'} mb-4`}>
+                  Rules are tried in order and the first match decides the destination path. A prefix rule replaces the
+                  leading folders; a regex rule fills its target with the captured groups ($1, $&lt;name&gt;). Paths no rule
+                  matches are mapped between the servers' media paths.
+                </p>
+                <div className="space-y-6">
+                  {serverPairs.map(({ key: pairKey, source, dest }) => (
+                    <div key={pairKey}>
+                      <div className="flex items-center justify-between mb-2">
+                        <span className={`text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                          {source.name} → {dest.name}
+                        </span>
+                        <button
+                          onClick={() => addPathRule(pairKey)}
+                          className="text-xs font-medium text-blue-600 hover:text-blue-500"
+                        >
+                          + Add rule
+                        </button>
+                      </div>
+                      <div className="space-y-2">
+                        {getPathRules(pairKey).map((rule, index) => {
+                          const type = rule.regex !== undefined ? 'regex' : 'prefix';
+                          return (
+                            <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                              <select
+                                value={type}
+                                onChange={(e) => setPathRuleType(pairKey, index, e.target.value)}
+                                className={`col-span-2 px-2 py-2 border rounded-md text-sm ${
+                                  darkMode ? 'border-gray-600 bg-gray-700 text-white' : 'border-gray-300 bg-white text-gray-900'
+                                }`}
+                              >
+                                <option value="prefix">Prefix</option>
+                                <option value="regex">Regex</option>
+                              </select>
+                              <input
+                                type="text"
+                                value={rule[type] || ''}
+                                onChange={(e) => updatePathRule(pairKey, index, type, e.target.value)}
+                                placeholder={type === 'regex' ? '^/mnt/movies/4K/(.*)$' : '/mnt/movies/4K'}
+                                className={`col-span-4 px-3 py-2 border rounded-md shadow-sm text-sm ${
+                                  darkMode
+                                    ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400'
+                                    : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500'
+                                }`}
+                              />
+                              <input
+                                type="text"
+                                value={rule.target || ''}
+                                onChange={(e) => updatePathRule(pairKey, index, 'target', e.target.value)}
+                                placeholder={type === 'regex' ? '/media4k/$1' : '/media4k'}
+                                className={`col-span-5 px-3 py-2 border rounded-md shadow-sm text-sm ${
+                                  darkMode
+                                    ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400'
+                                    : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500'
+                                }`}
+                              />
+                              <button
+                                onClick={() => removePathRule(pairKey, index)}
+                                className="col-span-1 text-xs font-medium text-red-600 hover:text-red-500"
+                              >
+                                Remove
+                              </button>
+                            </div>
+                          );
+                        })}
+                        {getPathRules(pairKey).length === 0 && (
+                          <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                            No rules, media paths are mapped by type (movies, TV, root).
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+
+                  {serverPairs.length > 0 && (
+                    <div className={`pt-4 border-t ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                      <label className={`block text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'} mb-1`}>
+                        Preview
+                      </label>
+                      <div className="grid grid-cols-12 gap-2">
+                        <select
+                          value={pathPreview.pairKey || serverPairs[0].key}
+                          onChange={(e) => setPathPreview(prev => ({ ...prev, pairKey: e.target.value, result: null, error: null }))}
+                          className={`col-span-3 px-2 py-2 border rounded-md text-sm ${
+                            darkMode ? 'border-gray-600 bg-gray-700 text-white' : 'border-gray-300 bg-white text-gray-900'
+                          }`}
+                        >
+                          {serverPairs.map(({ key, source, dest }) => (
+                            <option key={key} value={key}>{source.name} → {dest.name}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          value={pathPreview.path}
+                          onChange={(e) => setPathPreview(prev => ({ ...prev, path: e.target.value }))}
+                          onKeyDown={(e) => e.key === 'Enter' && previewPathMapping()}
+                          placeholder="Source path, e.g. /mnt/movies/4K/Movie (2020)/Movie.mkv"
+                          className={`col-span-7 px-3 py-2 border rounded-md shadow-sm text-sm ${
+                            darkMode
+                              ? 'border-gray-600 bg-gray-700 text-white placeholder-gray-400'
+                              : 'border-gray-300 bg-white text-gray-900 placeholder-gray-500'
+                          }`}
+                        />
+                        <button
+                          onClick={previewPathMapping}
+                          className="col-span-2 px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                        >
+                          Map
+                        </button>
+                      </div>
+                      {pathPreview.result && (
+                        <p className={`mt-2 text-sm font-mono ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                          → {pathPreview.result.destPath}
+                          <span className={`ml-2 font-sans text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                            {pathPreview.result.rule !== null ? `rule ${pathPreview.result.rule + 1} (${pathPreview.result.type})` : 'media paths'}
+                          </span>
+                        </p>
+                      )}
+                      {pathPreview.error && (
+                        <p className="mt-2 text-sm text-red-600">{pathPreview.error}</p>
+                      )}
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, X } from 'lucide-react';
+import apiService from '../services/api.js';
+import websocketService from '../services/websocket.js';
+
+const STREAM_COLORS = {
+  command: 'text-blue-400',
+  stderr: 'text-red-400',
+  info: 'text-yellow-400',
+  stdout: 'text-gray-300'
+};
+
+function TransferLog({ transfer, onClose, darkMode }) {
+  const [lines, setLines] = useState([]);
+  const [dropped, setDropped] = useState(0);
+  const [rsyncStats, setRsyncStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    // Lines can arrive both live and in the fetched log, so merge them by sequence number
+    const addLines = (newLines) => {
+      setLines(prev => {
+        const bySeq = new Map(prev.map(line => [line.seq, line]));
+        newLines.forEach(line => bySeq.set(line.seq, line));
+        return Array.from(bySeq.values()).sort((a, b) => a.seq - b.seq).slice(-500);
+      });
+    };
+
+    const handleLog = (data) => {
+      if (data.id === transfer.id) {
+        addLines(data.lines);
+      }
+    };
+
+    const loadLog = async () => {
+      try {
+        const response = await apiService.getTransferLog(transfer.id);
+        addLines(response.log.lines);
+        setDropped(response.log.dropped);
+        setRsyncStats(response.log.rsyncStats);
+        setError(null);
+      } catch (err) {
+        console.error('Failed to load transfer log:', err);
+        setError(err.message);
+      }
+    };
+
+    // Rooms are lost on reconnect, so follow the log again and fetch what was missed
+    const handleReconnect = () => {
+      websocketService.send('transfer:log:subscribe', transfer.id);
+      loadLog();
+    };
+
+    setLines([]);
+    websocketService.on('transfer:log', handleLog);
+    websocketService.on('reconnect', handleReconnect);
+    websocketService.send('transfer:log:subscribe', transfer.id);
+    loadLog();
+
+    return () => {
+      websocketService.send('transfer:log:unsubscribe', transfer.id);
+      websocketService.off('transfer:log', handleLog);
+      websocketService.off('reconnect', handleReconnect);
+    };
+  }, [transfer.id]);
+
+  // The stats summary arrives with the transfer update once rsync has finished
+  useEffect(() => {
+    if (transfer.rsyncStats) {
+      setRsyncStats(transfer.rsyncStats);
+    }
+  }, [transfer.rsyncStats]);
+
+  const formatNumber = (value) => (value === null || value === undefined ? '--' : value.toLocaleString());
+
+  return (
+    <div className={`${darkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'} border rounded-lg p-4`}>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className={`text-sm font-medium ${darkMode ? 'text-white' : 'text-gray-900'} flex items-center truncate`}>
+          <FileText className="h-4 w-4 mr-2 flex-shrink-0" />
+          Log: {transfer.filename}
+        </h3>
+        <button
+          onClick={onClose}
+          className={`${darkMode ? 'text-gray-400 hover:text-white' : 'text-gray-500 hover:text-gray-900'}`}
+          title="Close log"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      {rsyncStats && (
+        <div className={`grid grid-cols-2 gap-x-4 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'} mb-2`}>
+          <span>Literal data: {formatNumber(rsyncStats.literalData)} bytes</span>
+          <span>Matched data: {formatNumber(rsyncStats.matchedData)} bytes</span>
+          <span>Sent: {formatNumber(rsyncStats.bytesSent)} bytes</span>
+          <span>Speedup: {formatNumber(rsyncStats.speedup)}</span>
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-2 p-1 bg-red-50 border border-red-200 rounded text-xs text-red-700">{error}</div>
+      )}
+
+      <div className="bg-gray-950 rounded p-2 max-h-64 overflow-y-auto font-mono text-xs">
+        {dropped > 0 && (
+          <div className="text-gray-500">… {dropped} earlier line{dropped !== 1 ? 's' : ''} not kept</div>
+        )}
+        {lines.length === 0 ? (
+          <div className="text-gray-500">No log output yet</div>
+        ) : (
+          lines.map(line => (
+            <div key={line.seq} className={`whitespace-pre-wrap break-all ${STREAM_COLORS[line.stream] || 'text-gray-300'}`}>
+              <span className="text-gray-500">{new Date(line.at).toLocaleTimeString()} </span>
+              {line.text}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TransferLog;
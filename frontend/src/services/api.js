@@ -88,6 +88,14 @@ class ApiService {
     return this.request(`/servers/${serverId}/files/exists?path=${encodeURIComponent(filePath)}`);
   }
 
+  // Path mapping
+  async mapPaths(sourceServerId, destServerId, paths, rules) {
+    return this.request('/paths/map', {
+      method: 'POST',
+      body: JSON.stringify({ sourceServerId, destServerId, paths, rules }),
+    });
+  }
+
   // File operations
   async getFiles(serverId, path = '') {
     const queryParams = path ? `?path=${encodeURIComponent(path)}` : '';
@@ -106,6 +114,13 @@ class ApiService {
     });
   }
 
+  async planTransfer(transferData) {
+    return this.request('/transfers/plan', {
+      method: 'POST',
+      body: JSON.stringify(transferData),
+    });
+  }
+
   async getTransfers() {
     return this.request('/transfers');
   }
@@ -114,12 +129,107 @@ class ApiService {
     return this.request(`/transfers/${transferId}`);
   }
 
+  async getTransferLog(transferId, since = 0) {
+    return this.request(`/transfers/${transferId}/log?since=${since}`);
+  }
+
   async cancelTransfer(transferId) {
     return this.request(`/transfers/${transferId}`, {
       method: 'DELETE',
     });
   }
 
+  async pauseTransfer(transferId) {
+    return this.request(`/transfers/${transferId}/pause`, {
+      method: 'POST',
+    });
+  }
+
+  async resumeTransfer(transferId) {
+    return this.request(`/transfers/${transferId}/resume`, {
+      method: 'POST',
+    });
+  }
+
+  async retryTransfer(transferId) {
+    return this.request(`/transfers/${transferId}/retry`, {
+      method: 'POST',
+    });
+  }
+
+  async retryFailedTransfers() {
+    return this.request('/transfers/retry-failed', {
+      method: 'POST',
+    });
+  }
+
+  async moveTransfer(transferId, position) {
+    return this.request(`/transfers/${transferId}/move`, {
+      method: 'POST',
+      body: JSON.stringify({ position }),
+    });
+  }
+
+  async getBatches() {
+    return this.request('/transfers/batches');
+  }
+
+  async getBatch(batchId) {
+    return this.request(`/transfers/batches/${batchId}`);
+  }
+
+  async cancelBatch(batchId) {
+    return this.request(`/transfers/batches/${batchId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async pauseBatch(batchId) {
+    return this.request(`/transfers/batches/${batchId}/pause`, {
+      method: 'POST',
+    });
+  }
+
+  async resumeBatch(batchId) {
+    return this.request(`/transfers/batches/${batchId}/resume`, {
+      method: 'POST',
+    });
+  }
+
+  async retryBatch(batchId) {
+    return this.request(`/transfers/batches/${batchId}/retry`, {
+      method: 'POST',
+    });
+  }
+
+  async setQueueStrategy(strategy) {
+    return this.request('/transfers/queue/strategy', {
+      method: 'PUT',
+      body: JSON.stringify({ strategy }),
+    });
+  }
+
+  async getQueueState() {
+    return this.request('/transfers/queue');
+  }
+
+  async getRsyncProfiles() {
+    return this.request('/transfers/rsync-profiles');
+  }
+
+  async pauseQueue(includeActive = false) {
+    return this.request('/transfers/queue/pause', {
+      method: 'POST',
+      body: JSON.stringify({ includeActive }),
+    });
+  }
+
+  async resumeQueue() {
+    return this.request('/transfers/queue/resume', {
+      method: 'POST',
+    });
+  }
+
   // Settings management
   async getSettings() {
     return this.request('/settings');
@@ -70,10 +70,30 @@ class WebSocketService {
       this.emit('transfer:error', data);
     });
 
+    this.socket.on('transfer:verify', (data) => {
+      this.emit('transfer:verify', data);
+    });
+
+    this.socket.on('queue:update', (data) => {
+      this.emit('queue:update', data);
+    });
+
+    this.socket.on('batch:update', (data) => {
+      this.emit('batch:update', data);
+    });
+
+    this.socket.on('transfer:log', (data) => {
+      this.emit('transfer:log', data);
+    });
+
     // Initial transfer list
     this.socket.on('transfers:initial', (data) => {
       this.emit('transfers:initial', data);
     });
+
+    this.socket.on('batches:initial', (data) => {
+      this.emit('batches:initial', data);
+    });
   }
 
   // Event emitter pattern